@@ -0,0 +1,119 @@
+// The Telegram bot: builds the shared services and registers every command, listener,
+// button and scheduled job on a node-telegram-bot-api instance.
+//
+//   const foodBot = createFoodBot({ bot, storage, claude, usage, identity, cron, chatId, developerChatId });
+//
+// bot only needs on/onText/emit and the send/edit/answer methods used by the handlers, so
+// tests pass a fake (see test/helpers.js). chatId is the channel or group the bot answers in
+// besides private chats (CHAT_ID); developerChatId receives /feedback and may use /users.
+// identity (identity.js) should have had its key checked, or names won't be stored.
+// usage (usage.js) is the record the claude client reports to, shown by /usage.
+const { getUserId, createUsers } = require('./users');
+const { createTracking } = require('./tracking');
+const { createLeaderboard } = require('./leaderboard');
+const { createConversations } = require('./conversations');
+const { createUndo, registerUndoHandlers } = require('./handlers/undo');
+const { registerFoodHandlers } = require('./handlers/food');
+const { registerTrackingHandlers } = require('./handlers/tracking');
+const { registerGoalsHandlers } = require('./handlers/goals');
+const { registerSettingsHandlers } = require('./handlers/settings');
+const { registerDataHandlers } = require('./handlers/data');
+const { registerLeaderboardHandlers } = require('./handlers/leaderboard');
+const { registerGeneralHandlers } = require('./handlers/general');
+const { canUseButtons } = require('./handlers/common');
+
+function createFoodBot({ bot, storage, claude, usage, identity, cron, chatId = null, developerChatId = null }) {
+  const configuredChatId = chatId ? String(chatId) : null;
+
+  const users = createUsers({ storage, identity });
+  const tracking = createTracking({ storage, users });
+  const leaderboard = createLeaderboard({ storage, users });
+
+  // Multi-step flows (/goals, /feedback, ...); their steps are defined next to the commands
+  const conversations = createConversations({ bot, storage });
+
+  // Commands work in private chats and in the configured channel or group
+  function isAuthorized(msg) {
+    return msg.chat.id.toString() === configuredChatId || msg.chat.type === 'private';
+  }
+
+  // Download a file sent to the bot (photo, CSV) into a Buffer
+  async function downloadFile(fileId) {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  const ctx = {
+    bot,
+    storage,
+    claude,
+    usage,
+    identity,
+    cron,
+    users,
+    tracking,
+    leaderboard,
+    conversations,
+    configuredChatId,
+    developerChatId: developerChatId ? String(developerChatId) : null,
+    isAuthorized,
+    downloadFile
+  };
+  ctx.undo = createUndo(ctx);
+
+  // Answers to the multi-step flows go first, so a reply to a question isn't also read as a correction
+  bot.on('message', async (msg) => {
+    try {
+      await conversations.handleMessage(msg, getUserId(msg));
+    } catch (error) {
+      console.error('Error handling conversation message:', error);
+      await bot.sendMessage(msg.chat.id, '❌ Something went wrong. Please try again, or send /cancel to start over.');
+    }
+  });
+
+  const { handleEntryButton } = registerFoodHandlers(ctx);
+  const { handleEraseButton } = registerTrackingHandlers(ctx);
+  const { handleUndoButton } = registerUndoHandlers(ctx);
+  const { handlePrivacyButton } = registerDataHandlers(ctx);
+  registerGoalsHandlers(ctx);
+  registerSettingsHandlers(ctx);
+  registerLeaderboardHandlers(ctx);
+  registerGeneralHandlers(ctx);
+
+  // Inline keyboard buttons: conversation answers, analysis buttons, the /erase list, undo and /privacy
+  bot.on('callback_query', async (query) => {
+    if (!query.message) {
+      await bot.answerCallbackQuery(query.id).catch(() => {});
+      return;
+    }
+
+    const [type, value] = (query.data || '').split(/:(.*)/s);
+
+    try {
+      if (type === 'conv') {
+        // Prompts to a channel or an anonymous admin can be answered by anyone in the chat
+        await conversations.handleCallback(query, query.from.id, ownerId => canUseButtons(ownerId, query.from.id));
+      } else if (type === 'entry') {
+        await handleEntryButton(query, value);
+      } else if (type === 'erase') {
+        await handleEraseButton(query, value);
+      } else if (type === 'undo') {
+        await handleUndoButton(query, value);
+      } else if (type === 'privacy') {
+        await handlePrivacyButton(query, value);
+      } else {
+        await bot.answerCallbackQuery(query.id);
+      }
+    } catch (error) {
+      console.error('Error handling button:', error);
+      await bot.answerCallbackQuery(query.id, { text: '❌ Something went wrong. Please try again.' }).catch(() => {});
+    }
+  });
+
+  return { users, tracking, leaderboard, conversations };
+}
+
+module.exports = { createFoodBot };
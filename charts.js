@@ -0,0 +1,256 @@
+// PNG charts for the weekly and monthly reports, drawn without any image library or
+// external chart service: shapes are painted into an RGB pixel buffer, text uses the
+// small bitmap font below, and the result is encoded as a PNG with zlib.
+//
+//   renderReportChart({ days: [{ date, label, totals }], goals }) -> Buffer (PNG)
+//
+// totals is null for days without entries. The image has two panels: calories per
+// day against the calorie goal, and calories from protein, carbs and fat as stacked bars.
+const zlib = require('zlib');
+
+const WIDTH = 760;
+const HEIGHT = 600;
+
+const COLORS = {
+  background: [255, 255, 255],
+  text: [40, 40, 40],
+  muted: [130, 130, 130],
+  grid: [228, 228, 228],
+  axis: [160, 160, 160],
+  calories: [74, 144, 226],
+  over: [205, 70, 70],
+  goal: [40, 40, 40],
+  protein: [231, 111, 81],
+  carbs: [244, 185, 66],
+  fat: [106, 176, 76]
+};
+
+// Calories per gram of each macro
+const MACRO_CALORIES = { protein: 4, carbs: 4, fat: 9 };
+
+// 5x7 bitmap font: each glyph is seven rows, one hex byte per row, bit 4 = leftmost pixel.
+// Only what the charts print (text is upper-cased before drawing).
+const FONT = {
+  '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+  '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+  '8': '0e11110e11110e', '9': '0e11110f01020c',
+  'A': '0e11111f111111', 'B': '1e11111e11111e', 'C': '0e11101010110e', 'D': '1c12111111121c',
+  'E': '1f10101e10101f', 'F': '1f10101e101010', 'G': '0e11101711110f', 'H': '1111111f111111',
+  'I': '0e04040404040e', 'J': '0702020202120c', 'K': '11121418141211', 'L': '1010101010101f',
+  'M': '111b1515111111', 'N': '11111915131111', 'O': '0e11111111110e', 'P': '1e11111e101010',
+  'Q': '0e11111115120d', 'R': '1e11111e141211', 'S': '0f10100e01011e', 'T': '1f040404040404',
+  'U': '1111111111110e', 'V': '11111111110a04', 'W': '1111111515150a', 'X': '11110a040a1111',
+  'Y': '1111110a040404', 'Z': '1f01020408101f',
+  '-': '0000001f000000', '.': '00000000000c0c', '/': '00010204081000', ':': '000c0c000c0c00',
+  '%': '18190204081303', '(': '02040808080402', ')': '08040202020408', '+': '0004041f040400',
+  ',': '00000000000c0408',
+  ' ': '00000000000000'
+};
+
+const GLYPHS = Object.fromEntries(Object.entries(FONT).map(([char, hex]) => [
+  char,
+  Array.from({ length: 7 }, (_, row) => parseInt(hex.slice(row * 2, row * 2 + 2), 16))
+]));
+
+const TEXT_SCALE = 2;
+const CHAR_WIDTH = 6 * TEXT_SCALE;
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  function fillRect(x, y, w, h, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * width + px) * 3;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+      }
+    }
+  }
+
+  function dashedLine(x, y, w, color, dash = 8) {
+    for (let dx = 0; dx < w; dx += dash * 2) {
+      fillRect(x + dx, y - 1, Math.min(dash, w - dx), 2, color);
+    }
+  }
+
+  function textWidth(text) {
+    return String(text).length * CHAR_WIDTH - TEXT_SCALE;
+  }
+
+  // Draw text with its top-left corner at (x, y); align 'right' or 'center' moves the anchor
+  function drawText(text, x, y, color, align = 'left') {
+    const value = String(text).toUpperCase();
+    let left = x;
+    if (align === 'right') left = x - textWidth(value);
+    if (align === 'center') left = x - textWidth(value) / 2;
+
+    [...value].forEach((char, index) => {
+      const glyph = GLYPHS[char] || GLYPHS[' '];
+      glyph.forEach((bits, row) => {
+        for (let col = 0; col < 5; col++) {
+          if (bits & (0x10 >> col)) {
+            fillRect(left + index * CHAR_WIDTH + col * TEXT_SCALE, y + row * TEXT_SCALE, TEXT_SCALE, TEXT_SCALE, color);
+          }
+        }
+      });
+    });
+  }
+
+  fillRect(0, 0, width, height, COLORS.background);
+
+  return { width, height, pixels, fillRect, dashedLine, drawText, textWidth };
+}
+
+// --- PNG encoding ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // colour type: RGB
+  // compression, filter and interlace methods stay 0
+
+  // Every scanline starts with its filter type (0 = none)
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// --- Chart layout ---
+
+// Round an axis maximum up to a tidy number (e.g. 2500, 3000, 4000)
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+}
+
+function drawAxes(canvas, area, maxValue) {
+  [0, 0.5, 1].forEach(fraction => {
+    const y = area.y + area.height - fraction * area.height;
+    canvas.fillRect(area.x, y, area.width, 1, fraction === 0 ? COLORS.axis : COLORS.grid);
+    canvas.drawText(Math.round(maxValue * fraction), area.x - 8, y - 7, COLORS.muted, 'right');
+  });
+}
+
+// Day labels under a panel, thinned out so they never overlap
+function drawDayLabels(canvas, area, days, slot) {
+  const widest = Math.max(...days.map(day => canvas.textWidth(day.label)));
+  const every = Math.max(1, Math.ceil((widest + 8) / slot));
+  days.forEach((day, index) => {
+    if (index % every !== 0) return;
+    canvas.drawText(day.label, area.x + slot * (index + 0.5), area.y + area.height + 8, COLORS.muted, 'center');
+  });
+}
+
+function drawLegend(canvas, x, y, items) {
+  let left = x;
+  items.forEach(({ label, color }) => {
+    canvas.fillRect(left, y, 14, 14, color);
+    canvas.drawText(label, left + 20, y, COLORS.text);
+    left += 20 + canvas.textWidth(label) + 28;
+  });
+}
+
+function renderReportChart({ days, goals }) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const plotX = 80;
+  const plotWidth = WIDTH - plotX - 30;
+  const slot = plotWidth / days.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  const barOffset = (slot - barWidth) / 2;
+
+  // Calories vs goal
+  const caloriesArea = { x: plotX, y: 50, width: plotWidth, height: 190 };
+  const maxCalories = niceMax(Math.max(goals.calories * 1.2, ...days.map(day => (day.totals ? day.totals.calories : 0))));
+  const caloriesY = value => caloriesArea.y + caloriesArea.height - (value / maxCalories) * caloriesArea.height;
+
+  canvas.drawText('Calories vs goal (kcal)', plotX, 16, COLORS.text);
+  drawAxes(canvas, caloriesArea, maxCalories);
+  days.forEach((day, index) => {
+    if (!day.totals) return;
+    const top = caloriesY(day.totals.calories);
+    const color = day.totals.calories > goals.calories * 1.1 ? COLORS.over : COLORS.calories;
+    canvas.fillRect(caloriesArea.x + slot * index + barOffset, top, barWidth, caloriesArea.y + caloriesArea.height - top, color);
+  });
+  canvas.dashedLine(caloriesArea.x, caloriesY(goals.calories), caloriesArea.width, COLORS.goal);
+
+  // The goal line's key goes on the title row so it never sits on top of a bar
+  const goalLabel = `Goal ${Math.round(goals.calories)}`;
+  const goalLabelX = caloriesArea.x + caloriesArea.width - canvas.textWidth(goalLabel);
+  canvas.dashedLine(goalLabelX - 36, 23, 28, COLORS.goal, 6);
+  canvas.drawText(goalLabel, goalLabelX, 16, COLORS.goal);
+  drawDayLabels(canvas, caloriesArea, days, slot);
+
+  // Macro split as stacked bars of calories from each macro
+  const macrosArea = { x: plotX, y: 320, width: plotWidth, height: 190 };
+  const macroCalories = days.map(day => day.totals
+    ? Object.fromEntries(Object.keys(MACRO_CALORIES).map(macro => [macro, (day.totals[macro] || 0) * MACRO_CALORIES[macro]]))
+    : null);
+  const maxMacros = niceMax(Math.max(0, ...macroCalories.map(macros => (macros ? macros.protein + macros.carbs + macros.fat : 0))));
+
+  canvas.drawText('Calories from protein, carbs and fat', plotX, 286, COLORS.text);
+  drawAxes(canvas, macrosArea, maxMacros);
+  macroCalories.forEach((macros, index) => {
+    if (!macros) return;
+    let bottom = macrosArea.y + macrosArea.height;
+    Object.keys(MACRO_CALORIES).forEach(macro => {
+      const height = (macros[macro] / maxMacros) * macrosArea.height;
+      canvas.fillRect(macrosArea.x + slot * index + barOffset, bottom - height, barWidth, height, COLORS[macro]);
+      bottom -= height;
+    });
+  });
+  drawDayLabels(canvas, macrosArea, days, slot);
+
+  drawLegend(canvas, plotX, HEIGHT - 36, [
+    { label: 'Protein', color: COLORS.protein },
+    { label: 'Carbs', color: COLORS.carbs },
+    { label: 'Fat', color: COLORS.fat }
+  ]);
+
+  return encodePng(canvas);
+}
+
+module.exports = { renderReportChart };
@@ -0,0 +1,372 @@
+// Claude API client: food analysis from photos and text descriptions, and goal
+// recommendations for /goals. Every request goes through call(), which:
+//
+//   - tries each model in `models` in turn, moving on when one fails
+//   - retries rate limited (429) and overloaded (529) requests with exponential backoff
+//   - gives up on a request after `timeoutMs`
+//   - limits requests per user per hour, and overall requests per minute and at once
+//   - reports each response's token usage to recordUsage (see usage.js)
+//
+// Analyses are answered through a tool (see schemas.js) rather than as JSON in prose. The
+// tool's input is validated and coerced; invalid output is sent back once with the problems,
+// and a second invalid answer fails with code CLAUDE_INVALID_OUTPUT.
+//
+//   const claude = createClaudeClient({ anthropic: new Anthropic({ apiKey }), ...claudeOptionsFromEnv() });
+//   const entry = await claude.analyzeFood(base64Image, caption, null, { userId });
+//
+// A user over their hourly limit gets an error with code CLAUDE_RATE_LIMITED and
+// retryAfterSeconds; over the global limits requests wait for a free slot instead.
+// Only anthropic.messages.create() is used, so tests can pass a fake.
+const { buildMealEntry } = require('./nutrition');
+const { MEAL_TOOL, FOOD_ITEMS_TOOL, GOALS_TOOL, validateInput } = require('./schemas');
+
+const CLAUDE_DEFAULTS = {
+  models: ['claude-haiku-4-5-20251001', 'claude-sonnet-4-6'],
+  timeoutMs: 60 * 1000,
+  maxRetries: 3,               // per model, for 429 and 529 responses
+  retryBaseDelayMs: 1000,      // doubled on every retry
+  retryMaxDelayMs: 30 * 1000,
+  maxConcurrent: 4,            // requests in flight at once
+  requestsPerMinute: 50,       // across all users
+  userRequestsPerHour: 30      // 0 turns a limit off
+};
+
+const RETRY_STATUSES = [429, 529];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Client options from the environment, falling back to CLAUDE_DEFAULTS:
+// CLAUDE_MODELS (comma-separated, in order of preference), CLAUDE_TIMEOUT_MS,
+// CLAUDE_MAX_RETRIES, CLAUDE_MAX_CONCURRENT, CLAUDE_REQUESTS_PER_MINUTE, CLAUDE_USER_REQUESTS_PER_HOUR.
+// Values that aren't whole numbers, or are 0 where 0 would stop every request, are ignored with a warning.
+function claudeOptionsFromEnv(env = process.env) {
+  function number(name, fallback, minimum = 0) {
+    if (!env[name]) return fallback;
+
+    const value = Number(env[name]);
+    if (Number.isInteger(value) && value >= minimum) return value;
+
+    console.warn(`[claude] ${name}=${env[name]} should be a whole number of at least ${minimum}, using ${fallback}`);
+    return fallback;
+  }
+
+  const models = (env.CLAUDE_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+
+  return {
+    models: models.length > 0 ? models : CLAUDE_DEFAULTS.models,
+    timeoutMs: number('CLAUDE_TIMEOUT_MS', CLAUDE_DEFAULTS.timeoutMs, 1),
+    maxRetries: number('CLAUDE_MAX_RETRIES', CLAUDE_DEFAULTS.maxRetries),
+    maxConcurrent: number('CLAUDE_MAX_CONCURRENT', CLAUDE_DEFAULTS.maxConcurrent, 1),
+    requestsPerMinute: number('CLAUDE_REQUESTS_PER_MINUTE', CLAUDE_DEFAULTS.requestsPerMinute),
+    userRequestsPerHour: number('CLAUDE_USER_REQUESTS_PER_HOUR', CLAUDE_DEFAULTS.userRequestsPerHour)
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Prompt for a food photo, with the user's caption and correction as extra context
+function buildFoodPrompt(caption, correction) {
+  let promptText = `Analyze this food image and provide nutritional estimates. 
+  
+Break the meal down into its separate components (e.g. rice, curry and vegetables on one plate are three components; a single sandwich or drink is one component).
+
+Record the analysis with the record_meal tool.
+
+Base estimates on typical serving sizes. Be specific about the food identified. For hydration, estimate water content in ml. For fiber, estimate dietary fiber content in grams.`;
+
+  // If user provided a caption, include it as additional context
+  if (caption) {
+    promptText += `\n\nThe user has provided the following description of the food: "${caption}". Please consider this information when analyzing the image.`;
+  }
+
+  // When re-analyzing, the user's clarification overrides what was seen the first time
+  if (correction) {
+    promptText += `\n\nAn earlier analysis of this image identified it as "${correction.previous.food_name}" (${correction.previous.serving_size}). ` +
+      `The user has corrected it: "${correction.text}". Treat the user's correction as accurate and revise the analysis accordingly.`;
+  }
+
+  return promptText;
+}
+
+// Prompt for a text description, which may list several items
+function buildTextPrompt(description) {
+  return `Estimate the nutritional content of the food described below. The description may list several items (e.g. "2 eggs and toast with butter"); return one entry per distinct food or drink.
+
+Description: "${description}"
+
+Record the result with the record_food_items tool.
+
+Use the quantities given in the description, or typical serving sizes if none are given. For hydration, estimate water content in ml. For fiber, estimate dietary fiber content in grams. If the description does not contain any food or drink, record an empty list of items.`;
+}
+
+// Prompt for the AI-guided goal setup, from the answers to /goals
+function buildGoalsPrompt(userData) {
+  return `Based on the following user information, calculate personalized daily nutrition goals.
+
+User Profile:
+- Age: ${userData.age} years
+- Height: ${userData.height}
+- Weight: ${userData.weight}
+- Ethnicity: ${userData.ethnicity}
+- Goal: ${userData.goal} weight
+- Activity Level: ${userData.activity}
+
+Record the goals with the record_nutrition_goals tool.
+
+Consider:
+- Basal metabolic rate (BMR) calculations
+- Activity level multipliers
+- Weight loss/maintenance/gain adjustments
+- Ethnicity-appropriate dietary patterns
+- Adequate fiber intake (25-35g daily)
+- Proper hydration (2000-3000ml daily)`;
+}
+
+// The validated input of the response's call to `tool`: { toolUse, value, errors }
+function readToolInput(message, tool) {
+  const toolUse = (message.content || []).find(block => block.type === 'tool_use' && block.name === tool.name);
+  if (!toolUse) {
+    return { toolUse: null, value: null, errors: [`the answer should be a call to the ${tool.name} tool`] };
+  }
+  return { toolUse, ...validateInput(tool.input_schema, toolUse.input) };
+}
+
+// The next user turn after invalid output: the problems, as the tool's result if it was called
+function invalidOutputFeedback(tool, { toolUse, errors }) {
+  const text = `The answer can't be used:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+    `Call ${tool.name} again with corrected values.`;
+
+  return {
+    role: 'user',
+    content: toolUse
+      ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: text }]
+      : [{ type: 'text', text }]
+  };
+}
+
+function createClaudeClient({ anthropic, recordUsage = null, sleep = wait, ...options }) {
+  const {
+    models,
+    timeoutMs,
+    maxRetries,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
+    maxConcurrent,
+    requestsPerMinute,
+    userRequestsPerHour
+  } = { ...CLAUDE_DEFAULTS, ...options };
+
+  const userRequests = new Map(); // userId -> start times of their calls in the last hour
+  let recentRequests = [];        // start times of API requests in the last minute
+  let inFlight = 0;
+  const waiting = [];             // resolvers of requests waiting for a free slot
+
+  // Count a call against the user's hourly limit, or throw if they're over it
+  function checkUserLimit(userId) {
+    if (!userRequestsPerHour || userId === undefined || userId === null) return;
+
+    const now = Date.now();
+    const key = String(userId);
+    const times = (userRequests.get(key) || []).filter(time => time > now - HOUR_MS);
+
+    if (times.length >= userRequestsPerHour) {
+      userRequests.set(key, times);
+      const error = new Error(`You've reached the limit of ${userRequestsPerHour} AI analyses per hour.`);
+      error.code = 'CLAUDE_RATE_LIMITED';
+      error.retryAfterSeconds = Math.ceil((times[0] + HOUR_MS - now) / 1000);
+      throw error;
+    }
+
+    userRequests.set(key, [...times, now]);
+  }
+
+  // Wait until a request fits in both the per-minute and the concurrency limit
+  async function acquireSlot() {
+    while (inFlight >= maxConcurrent && maxConcurrent > 0) {
+      await new Promise(resolve => waiting.push(resolve));
+    }
+    inFlight++;
+
+    if (requestsPerMinute) {
+      recentRequests = recentRequests.filter(time => time > Date.now() - MINUTE_MS);
+      while (recentRequests.length >= requestsPerMinute) {
+        await sleep(recentRequests[0] + MINUTE_MS - Date.now());
+        recentRequests = recentRequests.filter(time => time > Date.now() - MINUTE_MS);
+      }
+      recentRequests.push(Date.now());
+    }
+  }
+
+  function releaseSlot() {
+    inFlight--;
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  // Send one request (the SDK's own retries are off, call() does its own)
+  async function send(params) {
+    await acquireSlot();
+    try {
+      return await anthropic.messages.create(params, { timeout: timeoutMs, maxRetries: 0 });
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  // How long to wait before retry number `attempt` (0-based): the server's retry-after
+  // if it sent one, otherwise exponential backoff with jitter
+  function retryDelay(error, attempt) {
+    const retryAfter = Number(error.headers && typeof error.headers.get === 'function' && error.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, retryMaxDelayMs);
+    }
+
+    const delay = Math.min(retryBaseDelayMs * 2 ** attempt, retryMaxDelayMs);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  async function reportUsage(userId, model, message) {
+    if (!recordUsage || !message.usage) return;
+
+    try {
+      await recordUsage(userId, {
+        model: message.model || model,
+        inputTokens: message.usage.input_tokens || 0,
+        outputTokens: message.usage.output_tokens || 0
+      });
+    } catch (error) {
+      console.error('Error recording Claude usage:', error);
+    }
+  }
+
+  /**
+   * Call Claude with retries and model fallback. Rate limited and overloaded requests are
+   * retried on the same model; after that, or on any other error, the next model is tried.
+   * userId is who the request is for, for their hourly limit and usage; follow-up
+   * requests pass countsTowardLimit: false.
+   */
+  async function call(params, { userId = null, countsTowardLimit = true } = {}) {
+    if (countsTowardLimit) checkUserLimit(userId);
+
+    let lastError;
+    for (const [index, model] of models.entries()) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const message = await send({ ...params, model });
+          await reportUsage(userId, model, message);
+          return message;
+        } catch (error) {
+          lastError = error;
+          if (!RETRY_STATUSES.includes(error.status) || attempt >= maxRetries) break;
+
+          const delay = retryDelay(error, attempt);
+          console.warn(`[claude] ${model} returned ${error.status}, retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+
+      const nextModel = models[index + 1];
+      if (nextModel) {
+        console.warn(`[claude] ${model} failed (${lastError.message}), retrying with ${nextModel}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Call Claude with `tool` forced and return the tool's validated input. Invalid output is
+   * answered once with the problems found, in the same conversation, and asked for again.
+   */
+  async function callTool(params, tool, options = {}) {
+    const request = { ...params, tools: [tool], tool_choice: { type: 'tool', name: tool.name } };
+
+    const message = await call(request, options);
+    const first = readToolInput(message, tool);
+    if (first.errors.length === 0) return first.value;
+
+    console.warn(`[claude] invalid ${tool.name} output, asking again: ${first.errors.join('; ')}`);
+    const retry = await call({
+      ...request,
+      messages: [...request.messages, { role: 'assistant', content: message.content }, invalidOutputFeedback(tool, first)]
+    }, { ...options, countsTowardLimit: false });
+
+    const second = readToolInput(retry, tool);
+    if (second.errors.length === 0) return second.value;
+
+    const error = new Error(`Invalid ${tool.name} output from Claude: ${second.errors.join('; ')}`);
+    error.code = 'CLAUDE_INVALID_OUTPUT';
+    throw error;
+  }
+
+  // Analyze a food photo. Returns one entry, broken into components for a mixed meal.
+  // correction ({ previous, text }) re-analyzes the photo with the user's clarification.
+  // options ({ userId }) are passed on to call(), as for the functions below.
+  async function analyzeFood(base64Image, caption = null, correction = null, options = {}) {
+    const meal = await callTool({
+      max_tokens: 1024,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: 'image/jpeg',
+              data: base64Image
+            }
+          },
+          {
+            type: 'text',
+            text: buildFoodPrompt(caption, correction)
+          }
+        ]
+      }]
+    }, MEAL_TOOL, options);
+
+    return buildMealEntry(meal);
+  }
+
+  // Analyze a text description of a meal. Returns one entry per food item.
+  async function analyzeFoodText(description, options = {}) {
+    const { items } = await callTool({
+      max_tokens: 2048,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: buildTextPrompt(description)
+          }
+        ]
+      }]
+    }, FOOD_ITEMS_TOOL, options);
+
+    return items;
+  }
+
+  // Daily goals from the AI-guided /goals answers: { age, height, weight, ethnicity, goal, activity }
+  // Returns whole numbers, as /goals shows them.
+  async function calculateGoals(userData, options = {}) {
+    const goals = await callTool({
+      max_tokens: 1024,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: buildGoalsPrompt(userData)
+          }
+        ]
+      }]
+    }, GOALS_TOOL, options);
+
+    return Object.fromEntries(Object.entries(goals).map(([nutrient, value]) => [nutrient, Math.round(value)]));
+  }
+
+  return { call, callTool, analyzeFood, analyzeFoodText, calculateGoals };
+}
+
+module.exports = { CLAUDE_DEFAULTS, claudeOptionsFromEnv, createClaudeClient };
@@ -0,0 +1,200 @@
+// Multi-step conversations (goal setup, feedback, ...) driven by one message handler.
+//
+// The current step of each conversation is kept in storage per chat and user, so a
+// flow only ever sees its own user's answers and carries on after a restart. A flow
+// is a set of named steps:
+//
+//   conversations.define('feedback', {
+//     firstStep: 'message',
+//     timeoutMinutes: 5,                       // idle time before the flow is dropped
+//     cancelMessage: 'Feedback cancelled.',    // sent on /cancel
+//     timeoutMessage: '⌛ ...',                // sent on the next message after a timeout
+//     steps: {
+//       message: {
+//         prompt: 'Type your feedback',        // string, or (data) => string
+//         buttons: [[{ text: 'Yes', value: 'yes' }]], // optional inline keyboard rows; a tap counts as typing value
+//         parse: (text, data) => text,         // return null to reject the answer
+//         invalid: '❌ ...',                   // sent when parse rejects, then the step is asked again
+//         next: null                           // step name, or (value, data) => step name; null finishes
+//       }
+//     },
+//     complete: async ({ chatId, userId, msg }, data) => {}
+//   });
+//
+// Each answer is stored in data under its step name, then the next step's prompt is
+// sent. Prompts are sent as Markdown. Button taps arrive as callback queries with
+// data "conv:{step}:{value}" and go through handleCallback(). A tap answers for whoever
+// the prompt was sent to, which for channel posts and anonymous admins is a chat or a
+// signature rather than the tapper, so prompts with buttons remember their owner.
+const DEFAULT_TIMEOUT_MINUTES = 5;
+
+// How long a timed-out conversation is kept so the user can be told it expired
+const EXPIRED_GRACE_SECONDS = 60 * 60;
+
+function createConversations({ bot, storage }) {
+  const flows = {};
+
+  function define(name, flow) {
+    if (!flow.steps[flow.firstStep]) {
+      throw new Error(`Conversation "${name}" has no first step "${flow.firstStep}"`);
+    }
+    flows[name] = flow;
+  }
+
+  function timeoutMs(flow) {
+    return (flow.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+  }
+
+  // Send a step's prompt and save the conversation as waiting for its answer
+  async function enterStep(chatId, userId, conversation, stepName) {
+    const flow = flows[conversation.flow];
+    const step = flow.steps[stepName];
+    const prompt = typeof step.prompt === 'function' ? step.prompt(conversation.data) : step.prompt;
+    const options = { parse_mode: 'Markdown' };
+    if (step.buttons) {
+      options.reply_markup = {
+        inline_keyboard: step.buttons.map(row => row.map(button => ({
+          text: button.text,
+          callback_data: `conv:${stepName}:${button.value}`
+        })))
+      };
+    }
+    const sent = await bot.sendMessage(chatId, prompt, options);
+
+    const updated = {
+      ...conversation,
+      step: stepName,
+      promptMessageId: sent.message_id,
+      expiresAt: Date.now() + timeoutMs(flow)
+    };
+    const ttlSeconds = Math.ceil(timeoutMs(flow) / 1000) + EXPIRED_GRACE_SECONDS;
+    await storage.saveConversation(chatId, userId, updated, ttlSeconds);
+    if (step.buttons) {
+      await storage.setCache(promptOwnerKey(chatId, sent.message_id), userId, ttlSeconds);
+    }
+  }
+
+  function promptOwnerKey(chatId, messageId) {
+    return `conversation-prompt:${chatId}:${messageId}`;
+  }
+
+  // Start a flow for a user, replacing any conversation they already had in this chat
+  async function start(chatId, userId, name, data = {}) {
+    const flow = flows[name];
+    if (!flow) {
+      throw new Error(`Unknown conversation "${name}"`);
+    }
+    await enterStep(chatId, userId, { flow: name, data }, flow.firstStep);
+  }
+
+  // Cancel the user's conversation. Returns false if there was nothing to cancel.
+  async function cancel(chatId, userId) {
+    const conversation = await storage.getConversation(chatId, userId);
+    if (!conversation) return false;
+
+    await storage.deleteConversation(chatId, userId);
+    const flow = flows[conversation.flow];
+    if (conversation.expiresAt < Date.now() || !flow) return false;
+
+    await bot.sendMessage(chatId, flow.cancelMessage || 'Cancelled.');
+    return true;
+  }
+
+  // Load the user's conversation, telling them if it timed out. Returns null if there is none to answer.
+  async function loadActive(chatId, userId) {
+    const conversation = await storage.getConversation(chatId, userId);
+    if (!conversation) return null;
+
+    const flow = flows[conversation.flow];
+    if (!flow || !flow.steps[conversation.step]) {
+      // Saved by a version of the bot that had a different flow
+      await storage.deleteConversation(chatId, userId);
+      return null;
+    }
+
+    if (conversation.expiresAt < Date.now()) {
+      await storage.deleteConversation(chatId, userId);
+      if (flow.timeoutMessage) {
+        await bot.sendMessage(chatId, flow.timeoutMessage);
+      }
+      return null;
+    }
+
+    return conversation;
+  }
+
+  // Apply an answer to the current step: re-ask, move to the next step, or finish
+  async function answer(chatId, userId, conversation, text, msg) {
+    const flow = flows[conversation.flow];
+    const step = flow.steps[conversation.step];
+
+    const value = step.parse ? step.parse(text, conversation.data) : text;
+    if (value === null || value === undefined) {
+      await bot.sendMessage(chatId, step.invalid || '❌ Sorry, I didn\'t understand that. Please try again, or send /cancel.', { parse_mode: 'Markdown' });
+      return;
+    }
+
+    // The question is answered, so its buttons can go
+    if (step.buttons) {
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: conversation.promptMessageId })
+        .catch(() => {});
+    }
+
+    const data = { ...conversation.data, [conversation.step]: value };
+    const nextStep = typeof step.next === 'function' ? step.next(value, data) : step.next;
+
+    if (nextStep) {
+      await enterStep(chatId, userId, { ...conversation, data }, nextStep);
+      return;
+    }
+
+    // Finished: drop the state first so a failing completion can't leave the user stuck
+    await storage.deleteConversation(chatId, userId);
+    await flow.complete({ chatId, userId, msg }, data);
+  }
+
+  // Feed a message to the user's conversation. Returns true if the message was an answer.
+  async function handleMessage(msg, userId) {
+    // Commands (including /cancel) are handled by their own listeners
+    if (!msg.text || msg.text.startsWith('/')) return false;
+
+    const chatId = msg.chat.id;
+    const conversation = await loadActive(chatId, userId);
+    if (!conversation) return false;
+
+    // A reply to some other message (e.g. correcting an analysis) isn't an answer
+    if (msg.reply_to_message && msg.reply_to_message.message_id !== conversation.promptMessageId) {
+      return false;
+    }
+
+    await answer(chatId, userId, conversation, msg.text.trim(), msg);
+    return true;
+  }
+
+  // Handle a tap on a prompt's button by the user `userId`. The tap answers for the prompt's
+  // owner when canAnswerFor(ownerId) allows it (by default only the owner themselves).
+  // Returns false for callback queries that aren't ours.
+  async function handleCallback(query, userId, canAnswerFor = (ownerId) => String(ownerId) === String(userId)) {
+    const match = (query.data || '').match(/^conv:([^:]+):(.*)$/);
+    if (!match || !query.message) return false;
+
+    const chatId = query.message.chat.id;
+    const ownerId = await storage.getCache(promptOwnerKey(chatId, query.message.message_id));
+    const answeringFor = ownerId !== null && canAnswerFor(ownerId) ? ownerId : userId;
+    const conversation = await loadActive(chatId, answeringFor);
+
+    // Old prompts, or someone else's, stay on screen but no longer take answers
+    if (!conversation || conversation.step !== match[1] || conversation.promptMessageId !== query.message.message_id) {
+      await bot.answerCallbackQuery(query.id, { text: 'This question isn\'t waiting for your answer.' });
+      return true;
+    }
+
+    await bot.answerCallbackQuery(query.id);
+    await answer(chatId, answeringFor, conversation, match[2], { ...query.message, from: query.from, text: match[2] });
+    return true;
+  }
+
+  return { define, start, cancel, handleMessage, handleCallback };
+}
+
+module.exports = { createConversations };
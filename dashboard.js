@@ -0,0 +1,167 @@
+// The web dashboard (web/) and its JSON API, mounted by both the bot (zeabur-bot.js)
+// and the standalone web service (server.js):
+//
+//   app.use(createDashboardRouter({ storage, users, leaderboard, identity, usage, serviceName: 'Food Analyst Bot' }));
+//
+// GET /, /health, /api/health, /api/leaderboard and /api/stats. None of them need a secret,
+// so nothing here returns unmasked names or per-user logs.
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const { formatScoreDetails } = require('./scoring');
+
+const WEB_DIR = path.join(__dirname, 'web');
+
+function createDashboardRouter({ storage, users, leaderboard, identity, usage, serviceName }) {
+  const router = express.Router();
+
+  // Serve static files from web directory
+  router.use(express.static(WEB_DIR));
+
+  // Serve the dashboard if it exists, otherwise return health status
+  router.get('/', (req, res) => {
+    const indexPath = path.join(WEB_DIR, 'index.html');
+
+    fs.access(indexPath)
+      .then(() => {
+        res.sendFile(indexPath);
+      })
+      .catch(() => {
+        res.json({
+          status: 'healthy',
+          service: serviceName,
+          timestamp: new Date().toISOString(),
+          uptime: process.uptime()
+        });
+      });
+  });
+
+  // Additional health check endpoint for Zeabur
+  router.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      message: 'Service is running',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Status of each service, shown as cards on the dashboard
+  router.get('/api/health', async (req, res) => {
+    const healthStatus = {
+      timestamp: new Date().toISOString(),
+      services: {}
+    };
+
+    // Check storage (reported as "redis" so the dashboard keeps its service card)
+    try {
+      await storage.ping();
+      healthStatus.services.redis = {
+        status: 'online',
+        message: storage.backend === 'redis' ? 'Connected successfully' : `Using ${storage.backend} storage`
+      };
+    } catch (error) {
+      healthStatus.services.redis = {
+        status: 'offline',
+        message: 'Connection failed',
+        error: error.message
+      };
+    }
+
+    // Telegram and Claude are only checked for configuration, not called
+    healthStatus.services.telegram = process.env.TELEGRAM_BOT_TOKEN
+      ? { status: 'online', message: 'Token configured' }
+      : { status: 'warning', message: 'Token not configured' };
+
+    healthStatus.services.claude = process.env.ANTHROPIC_API_KEY
+      ? { status: 'online', message: 'API key configured' }
+      : { status: 'warning', message: 'API key not configured' };
+
+    // Whether this service can read the stored names (see identity.js)
+    const keyStatus = identity.getKeyStatus();
+    healthStatus.services.names = {
+      status: keyStatus.status === 'ok' ? 'online' : 'warning',
+      message: keyStatus.message
+    };
+
+    // Web service status
+    healthStatus.services.web = {
+      status: 'online',
+      message: 'Web interface operational'
+    };
+
+    res.json(healthStatus);
+  });
+
+  // Today's leaderboard with masked names (users hidden with /privacy are left out). Only
+  // the fields below are sent: user IDs, intake totals and goals stay on the server.
+  router.get('/api/leaderboard', async (req, res) => {
+    try {
+      const ranked = (await leaderboard.getLeaderboardData())
+        .filter(user => user.score > 0)
+        .map((user, index) => ({
+          rank: index + 1,
+          displayName: user.displayName,
+          score: user.score,
+          details: formatScoreDetails(user.percentages)
+        }));
+
+      res.json({
+        timestamp: new Date().toISOString(),
+        leaderboard: ranked,
+        totalUsers: ranked.length
+      });
+    } catch (error) {
+      console.error('Error generating leaderboard:', error);
+      res.status(500).json({
+        error: 'Failed to generate leaderboard',
+        message: error.message
+      });
+    }
+  });
+
+  // Stats endpoint
+  router.get('/api/stats', async (req, res) => {
+    try {
+      const stats = {
+        timestamp: new Date().toISOString()
+      };
+
+      // Get user count
+      stats.totalUsers = await storage.countUserProfiles();
+
+      // Entries logged on each user's local today
+      let todayEntries = 0;
+      for (const userId of await storage.getEntryUserIds()) {
+        todayEntries += await storage.countEntries(userId, await users.getUserToday(userId));
+      }
+      stats.todayEntries = todayEntries;
+
+      // Get goals (global default plus how many users set their own)
+      stats.currentGoals = await storage.getDefaultGoals() || {};
+      stats.usersWithCustomGoals = await storage.countUserGoals();
+
+      // Today's Claude usage (UTC), totals only
+      const { date, totals, users: usageByUser } = await usage.getDayUsage();
+      stats.claudeUsage = {
+        date,
+        requests: totals.requests,
+        inputTokens: totals.inputTokens,
+        outputTokens: totals.outputTokens,
+        estimatedCostUsd: totals.costMicros / 1000000,
+        users: Object.keys(usageByUser).length
+      };
+
+      res.json(stats);
+    } catch (error) {
+      console.error('Error getting stats:', error);
+      res.status(500).json({
+        error: 'Failed to get statistics',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDashboardRouter };
@@ -0,0 +1,106 @@
+// Encryption of personal details (names and usernames) before they're stored.
+//
+//   const { encrypt, decrypt } = createEncryption(process.env.ENCRYPTION_KEY, previousKeys);
+//
+// Values are AES-256-GCM, stored as "gcm:keyId:ivHex:tagHex:ciphertextHex". keyId is the
+// fingerprint of the key that encrypted the value, so after a key change old values are
+// decrypted with the right previous key and can be found and re-encrypted (see /rotatekey).
+// Values written before GCM are "ivHex:ciphertextHex" in AES-256-CBC and are still read.
+//
+// A key is 64 hex characters (32 random bytes, e.g. `openssl rand -hex 32`), or for
+// deployments from before that, any 32-character string used as raw bytes.
+// decrypt returns null for values it can't read, so callers never show ciphertext as a name.
+const crypto = require('crypto');
+
+const FORMAT = 'gcm';
+const IV_LENGTH = 12; // Recommended IV length for GCM
+const LEGACY_KEY_LENGTH = 32;
+
+// The 32 key bytes for a configured key, or null if it isn't a valid key
+function parseKey(key) {
+  if (typeof key !== 'string') return null;
+  if (/^[0-9a-f]{64}$/i.test(key)) return Buffer.from(key, 'hex');
+  if (Buffer.byteLength(key) === LEGACY_KEY_LENGTH) return Buffer.from(key);
+  return null;
+}
+
+// Identifies a key without revealing it: used as the key ID in values and as the
+// fingerprint services compare through storage
+function keyFingerprint(key) {
+  return crypto.createHmac('sha256', key).update('food-analyst-bot:key-check').digest('hex').slice(0, 16);
+}
+
+// key encrypts; previousKeys are only used to read values written before a key change
+function createEncryption(key, previousKeys = []) {
+  const keys = [key, ...previousKeys].map(configured => {
+    const bytes = parseKey(configured);
+    if (!bytes) {
+      throw new Error('Invalid encryption key: expected 64 hex characters');
+    }
+    return { id: keyFingerprint(configured), bytes };
+  });
+  const current = keys[0];
+
+  function encrypt(text) {
+    if (!text) return text;
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.bytes, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [FORMAT, current.id, iv.toString('hex'), tag.toString('hex'), encrypted.toString('hex')].join(':');
+  }
+
+  function decryptGcm(parts) {
+    const [, keyId, ivHex, tagHex, encryptedHex] = parts;
+    const entry = keys.find(candidate => candidate.id === keyId);
+    if (!entry) return null;
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', entry.bytes, Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  // CBC values don't say which key wrote them, so try each one. Without authentication a
+  // wrong key can still unpad cleanly, so only accept results that are valid UTF-8 text.
+  function decryptLegacy(parts) {
+    const iv = Buffer.from(parts[0], 'hex');
+    const encryptedText = Buffer.from(parts[1], 'hex');
+
+    for (const entry of keys) {
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-cbc', entry.bytes, iv);
+        const decrypted = Buffer.concat([decipher.update(encryptedText), decipher.final()]);
+        const text = decrypted.toString('utf8');
+        if (Buffer.from(text, 'utf8').equals(decrypted)) return text;
+      } catch {
+        // Wrong key, try the next one
+      }
+    }
+    return null;
+  }
+
+  // Decrypt a stored value, or null if it can't be read with any configured key
+  function decrypt(text) {
+    if (typeof text !== 'string') return null;
+
+    const parts = text.split(':');
+    try {
+      if (parts[0] === FORMAT && parts.length === 5) return decryptGcm(parts);
+      if (parts.length === 2) return decryptLegacy(parts);
+    } catch {
+      // Tampered or corrupt value
+    }
+    return null;
+  }
+
+  // Whether a stored value should be re-encrypted: it's in the old format or under a previous key
+  function needsReencryption(text) {
+    const parts = text.split(':');
+    return !(parts[0] === FORMAT && parts[1] === current.id);
+  }
+
+  return { keyId: current.id, encrypt, decrypt, needsReencryption };
+}
+
+module.exports = { parseKey, keyFingerprint, createEncryption };
@@ -0,0 +1,134 @@
+// Export of one user's food log and goals, shared by the bot's /export command and
+// the dashboard's GET /api/users/:id/export.
+//
+//   const data = await buildUserExport(storage, userId, goals);
+//   const { content, filename, contentType } = formatExport(data, 'csv');
+//
+// Formats:
+//   json  everything, including meal components
+//   csv   one row per entry, for spreadsheets
+//   fhir  a FHIR R5 Bundle of NutritionIntake resources, for health record tools
+const EXPORT_FORMATS = ['json', 'csv', 'fhir'];
+
+const EXPORT_VERSION = 1;
+
+// Nutrients as they appear in the CSV header and FHIR labels
+const NUTRIENTS = [
+  { field: 'calories', label: 'Energy', unit: 'kcal' },
+  { field: 'protein', label: 'Protein', unit: 'g' },
+  { field: 'carbs', label: 'Carbohydrate', unit: 'g' },
+  { field: 'fat', label: 'Fat', unit: 'g' },
+  { field: 'fiber', label: 'Fiber', unit: 'g' },
+  { field: 'hydration', label: 'Water', unit: 'mL' }
+];
+
+// Collect every entry the user has logged, oldest first, with the day it counts towards.
+// goals are the user's effective goals (their own, or the defaults).
+async function buildUserExport(storage, userId, goals) {
+  const days = await storage.getDays(userId);
+  const entriesByDate = days.length > 0 ? await storage.getEntriesByDate(userId, days) : {};
+  const userGoals = await storage.getUserGoals(userId);
+  const settings = await storage.getUserSettings(userId);
+
+  const entries = [];
+  days.forEach(date => {
+    (entriesByDate[date] || []).forEach(entry => entries.push({ date, ...entry }));
+  });
+
+  return {
+    format: 'food-analyst-bot-export',
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId: String(userId),
+    timezone: (settings && settings.timezone) || null,
+    goals,
+    customGoals: Boolean(userGoals),
+    entries
+  };
+}
+
+// Quote a CSV field when needed. Text starting with =, +, - or @ gets a leading
+// apostrophe so spreadsheets don't run it as a formula.
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(data) {
+  const header = ['date', 'timestamp', 'food_name', 'serving_size',
+    ...NUTRIENTS.map(({ field, unit }) => `${field}_${unit.toLowerCase()}`), 'confidence', 'id'];
+
+  const rows = data.entries.map(entry => [
+    entry.date,
+    entry.timestamp,
+    entry.food_name,
+    entry.serving_size,
+    ...NUTRIENTS.map(({ field }) => entry[field] || 0),
+    entry.confidence,
+    entry.id
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function quantity(value, unit) {
+  return { value: value || 0, unit, system: 'http://unitsofmeasure.org', code: unit };
+}
+
+// Entries as NutritionIntake resources. Foods and nutrients are given as text only:
+// the bot's estimates aren't coded against a terminology.
+function toFhirBundle(data) {
+  const subject = { identifier: { system: 'https://t.me', value: data.userId } };
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: data.exportedAt,
+    entry: data.entries.map(entry => ({
+      fullUrl: `urn:uuid:${entry.id}`,
+      resource: {
+        resourceType: 'NutritionIntake',
+        id: entry.id,
+        status: 'completed',
+        subject,
+        occurrenceDateTime: entry.timestamp || entry.date,
+        consumedItem: [{
+          type: { text: 'food' },
+          nutritionProduct: { concept: { text: entry.food_name || 'Food' } }
+        }],
+        ingredientLabel: NUTRIENTS.map(({ field, label, unit }) => ({
+          nutrient: { concept: { text: label } },
+          amount: quantity(entry[field], unit)
+        })),
+        // Servings are free text ("1 bowl (300g)"), so they go in a note rather than a Quantity
+        ...(entry.serving_size ? { note: [{ text: `Serving: ${entry.serving_size}` }] } : {})
+      }
+    }))
+  };
+}
+
+// Render an export in one of EXPORT_FORMATS
+function formatExport(data, format = 'json') {
+  const basename = `food-log-${data.userId.replace(/[^\w-]/g, '_')}-${data.exportedAt.split('T')[0]}`;
+
+  switch (format) {
+    case 'csv':
+      return { content: toCsv(data), filename: `${basename}.csv`, contentType: 'text/csv' };
+    case 'fhir':
+      return {
+        content: JSON.stringify(toFhirBundle(data), null, 2),
+        filename: `${basename}.fhir.json`,
+        contentType: 'application/fhir+json'
+      };
+    case 'json':
+      return { content: JSON.stringify(data, null, 2), filename: `${basename}.json`, contentType: 'application/json' };
+    default:
+      throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = { EXPORT_FORMATS, buildUserExport, formatExport };
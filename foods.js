@@ -0,0 +1,470 @@
+// The bundled food database (data/foods.json, per-100g values) and the text parsing
+// built on it: "/log 2 eggs and toast", corrections such as "500ml coke", "x2",
+// "protein +10" or "it was salmon not chicken", and /food lookups.
+const path = require('path');
+const { NUTRIENT_UNITS, roundNutrient, buildMealEntry } = require('./nutrition');
+
+const FOOD_DATABASE_FILE = path.join(__dirname, 'data', 'foods.json');
+
+// Load the bundled food database, tolerating a missing or broken file
+function loadFoodDatabase() {
+  try {
+    const { foods } = require(FOOD_DATABASE_FILE);
+    return foods.map(food => ({
+      ...food,
+      // Pre-tokenize the name and aliases once for matching
+      searchTerms: [food.name, ...(food.aliases || [])].map(term => tokenizeFoodName(term))
+    }));
+  } catch (error) {
+    console.error('Error loading food database:', error);
+    return [];
+  }
+}
+
+// Words that describe preparation rather than the food itself
+const FOOD_STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'some', 'my', 'with', 'and', 'in', 'on',
+  'cooked', 'grilled', 'baked', 'boiled', 'steamed', 'roasted', 'fresh', 'plain', 'homemade',
+  'small', 'medium', 'large', 'big', 'glass', 'bowl', 'plate', 'can', 'bottle', 'mug'
+]);
+
+// Normalize a food name into singular, lower-case tokens
+function tokenizeFoodName(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !FOOD_STOPWORDS.has(token) && !/^\d+$/.test(token))
+    .map(token => {
+      if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+      if (token.length > 4 && token.endsWith('oes')) return token.slice(0, -2);
+      if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+      return token;
+    });
+}
+
+const foodDatabase = loadFoodDatabase();
+
+// Levenshtein edit distance between two short strings
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// Similarity of two tokens (1 = identical); small typos still count, but
+// different words that share letters ("pineapple" vs "apple") do not
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= 0.8 ? similarity : 0;
+}
+
+// Score how well query tokens match one name/alias (F1 of token overlap)
+function scoreFoodTerm(queryTokens, termTokens) {
+  if (queryTokens.length === 0 || termTokens.length === 0) return 0;
+
+  const matched = queryTokens.reduce((sum, queryToken) =>
+    sum + Math.max(...termTokens.map(termToken => tokenSimilarity(queryToken, termToken))), 0);
+
+  if (matched === 0) return 0;
+
+  const precision = matched / termTokens.length;
+  const recall = matched / queryTokens.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+// Search the food database, returning candidates ranked by match score
+function searchFoods(query, limit = 5) {
+  const queryTokens = tokenizeFoodName(query || '');
+
+  return foodDatabase
+    .map(food => ({
+      food,
+      score: Math.max(...food.searchTerms.map(termTokens => scoreFoodTerm(queryTokens, termTokens)))
+    }))
+    .filter(candidate => candidate.score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Grams per unit for volume and weight units
+const UNIT_GRAMS = { g: 1, kg: 1000, oz: 28.35, lb: 453.6 };
+const UNIT_MILLILITRES = { ml: 1, l: 1000, cup: 240, tbsp: 15, tsp: 5 };
+
+// Convert a quantity of a food to grams
+function convertToGrams(food, quantity, unit) {
+  if (UNIT_GRAMS[unit]) {
+    return quantity * UNIT_GRAMS[unit];
+  }
+
+  if (UNIT_MILLILITRES[unit]) {
+    return quantity * UNIT_MILLILITRES[unit] * (food.density_g_per_ml || 1);
+  }
+
+  if (unit === 'piece') {
+    return quantity * (food.unit_weight_g || food.serving_g);
+  }
+
+  // "serving" or anything unrecognised
+  return quantity * food.serving_g;
+}
+
+// Normalise unit spellings ("cups", "slices", "pcs") to the keys used above
+function normalizeUnit(unit) {
+  const aliases = {
+    ml: 'ml', l: 'l', g: 'g', kg: 'kg', oz: 'oz', lb: 'lb', lbs: 'lb',
+    cup: 'cup', cups: 'cup', tbsp: 'tbsp', tsp: 'tsp',
+    slice: 'piece', slices: 'piece', piece: 'piece', pieces: 'piece', pcs: 'piece', pc: 'piece'
+  };
+  return aliases[unit] || 'serving';
+}
+
+// Parse user correction input
+function parseUserCorrection(input) {
+  // Simple parser for corrections like "500ml coke", "coffee 200ml" or "2 eggs"
+  const lowerInput = input.toLowerCase().trim();
+
+  // Extract serving size (e.g., 500ml, 200g, 1 cup, 2 slices)
+  const servingSizeMatch = lowerInput.match(/(\d+(?:\.\d+)?)\s*(ml|l|g|kg|oz|lbs?|cups?|tbsp|tsp|slices?|pieces?|pcs?)\b/);
+  // Otherwise a leading count, e.g. "2 eggs"
+  const countMatch = !servingSizeMatch && lowerInput.match(/^(\d+(?:\.\d+)?)\s+/);
+  let servingSize = "Standard serving";
+  let quantity = 1;
+  let unit = "serving";
+
+  if (servingSizeMatch) {
+    quantity = parseFloat(servingSizeMatch[1]);
+    unit = normalizeUnit(servingSizeMatch[2]);
+    // "500ml", "200g" but "2 slices", "1 cup"
+    const separator = /^(ml|l|g|kg|oz|lbs?)$/.test(servingSizeMatch[2]) ? '' : ' ';
+    servingSize = `${quantity}${separator}${servingSizeMatch[2]}`;
+  } else if (countMatch) {
+    quantity = parseFloat(countMatch[1]);
+    unit = 'piece';
+    servingSize = `${quantity} pcs`;
+  }
+
+  // Extract food name (everything except the serving size part)
+  let foodName = lowerInput;
+  const quantityMatch = servingSizeMatch || countMatch;
+  if (quantityMatch) {
+    foodName = foodName.replace(quantityMatch[0], ' ').trim();
+  }
+
+  // Clean up the food name ("of bread" -> "bread")
+  foodName = foodName.replace(/^\W+|\W+$/g, '').replace(/^of\s+/, '') || 'Unknown food';
+
+  // Capitalize first letter
+  foodName = foodName.charAt(0).toUpperCase() + foodName.slice(1);
+
+  // Estimate nutrition from the local food database
+  const nutritionEstimates = estimateNutrition(foodName, quantity, unit);
+
+  if (nutritionEstimates.match) {
+    servingSize += ` (${nutritionEstimates.grams}g)`;
+  }
+
+  return {
+    food_name: foodName,
+    calories: nutritionEstimates.calories,
+    protein: nutritionEstimates.protein,
+    carbs: nutritionEstimates.carbs,
+    fat: nutritionEstimates.fat,
+    fiber: nutritionEstimates.fiber,
+    hydration: nutritionEstimates.hydration,
+    serving_size: servingSize,
+    database_match: nutritionEstimates.match
+  };
+}
+
+// Fallback values (per 100g) when nothing in the database matches
+const UNKNOWN_FOOD = {
+  name: null,
+  per_100g: { calories: 100, protein: 5, carbs: 15, fat: 3, fiber: 0, water: 0 },
+  serving_g: 100
+};
+
+// Estimate nutrition based on food name and serving size
+function estimateNutrition(foodName, quantity, unit) {
+  const candidates = searchFoods(foodName);
+  const food = candidates.length > 0 ? candidates[0].food : UNKNOWN_FOOD;
+
+  const grams = convertToGrams(food, quantity, unit);
+  const multiplier = grams / 100;
+  const per100g = food.per_100g;
+
+  return {
+    calories: Math.round(per100g.calories * multiplier),
+    protein: parseFloat((per100g.protein * multiplier).toFixed(1)),
+    carbs: parseFloat((per100g.carbs * multiplier).toFixed(1)),
+    fat: parseFloat((per100g.fat * multiplier).toFixed(1)),
+    fiber: parseFloat((per100g.fiber * multiplier).toFixed(1)),
+    hydration: Math.round(per100g.water * multiplier),
+    grams: Math.round(grams),
+    match: food.name,
+    candidates: candidates.map(candidate => candidate.food.name)
+  };
+}
+
+// Try to read a text description with the local database alone. Returns null
+// unless every item is a confident match, so Claude handles anything unclear.
+function parseLocalMeal(description) {
+  const parts = description
+    .split(/\s*(?:,|;|\+|\n|\band\b|\bwith\b)\s*/i)
+    .filter(part => part.trim());
+
+  if (parts.length === 0) return null;
+
+  const items = [];
+  for (const part of parts) {
+    const item = parseUserCorrection(part);
+    const [best] = searchFoods(item.food_name, 1);
+
+    if (!best || best.score < 0.9) {
+      return null;
+    }
+
+    items.push({ ...item, confidence: 'medium' });
+  }
+
+  return items;
+}
+
+// Field names accepted in replies such as "calories 450" or "protein +10"
+const CORRECTION_FIELDS = {
+  calories: 'calories', calorie: 'calories', cal: 'calories', cals: 'calories', kcal: 'calories',
+  protein: 'protein', carbs: 'carbs', carb: 'carbs', carbohydrates: 'carbs',
+  fat: 'fat', fats: 'fat', fiber: 'fiber', fibre: 'fiber',
+  hydration: 'hydration'
+};
+
+const SCALE_WORDS = { quarter: 0.25, half: 0.5, halve: 0.5, double: 2, twice: 2, triple: 3 };
+
+// Grams recorded in a serving description such as "1 bowl (350g)", falling back to ml
+function getServingGrams(servingSize) {
+  const text = String(servingSize || '');
+  const match = text.match(/(\d+(?:\.\d+)?)\s*g\b/i) || text.match(/(\d+(?:\.\d+)?)\s*ml\b/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// Scale every nutrient (and each component of a meal) by a factor
+function scaleNutrition(nutrition, factor) {
+  const scaled = { ...nutrition };
+  Object.keys(NUTRIENT_UNITS).forEach(field => {
+    scaled[field] = roundNutrient(field, (nutrition[field] || 0) * factor);
+  });
+
+  const grams = getServingGrams(nutrition.serving_size);
+  scaled.serving_size = grams ? `${Math.round(grams * factor)}g` : `${factor} × ${nutrition.serving_size}`;
+
+  if (Array.isArray(nutrition.components) && nutrition.components.length > 0) {
+    scaled.components = nutrition.components.map(component => scaleNutrition(component, factor));
+    return buildMealEntry(scaled);
+  }
+
+  return scaled;
+}
+
+// Set or adjust individual fields, e.g. { calories: { value: 450 } } or { protein: { delta: 10 } }
+function applyFieldEdits(nutrition, edits) {
+  const updated = { ...nutrition };
+  const components = Array.isArray(nutrition.components) && nutrition.components.length > 0
+    ? nutrition.components.map(component => ({ ...component }))
+    : null;
+
+  Object.entries(edits).forEach(([field, edit]) => {
+    const previous = nutrition[field] || 0;
+    const value = roundNutrient(field, edit.delta !== undefined ? previous + edit.delta : edit.value);
+    updated[field] = value;
+
+    // Spread the change over a meal's components so the breakdown still adds up
+    if (components) {
+      components.forEach(component => {
+        component[field] = previous > 0
+          ? roundNutrient(field, (component[field] || 0) * value / previous)
+          : roundNutrient(field, value / components.length);
+      });
+    }
+  });
+
+  if (components) {
+    updated.components = components;
+  }
+
+  return updated;
+}
+
+// Parse "calories 450, protein +10" or "450 kcal" into field edits. Returns null unless every part is a field edit.
+function parseFieldEdits(input) {
+  const parts = input.split(/\s*(?:,|;|\band\b)\s*/).filter(Boolean);
+  const edits = {};
+
+  for (const part of parts) {
+    const match = part.match(/^([a-z]+)\s*[:=]?\s*([+-])?\s*(\d+(?:\.\d+)?)\s*(?:g|kcal|ml)?$/) ||
+      part.match(/^([+-])?\s*(\d+(?:\.\d+)?)\s*(?:g|ml)?\s*(?:of\s+)?([a-z]+)$/);
+    if (!match) return null;
+
+    // The two patterns capture field, sign and number in different orders
+    const [fieldName, sign, number] = /^[a-z]/.test(part) ? [match[1], match[2], match[3]] : [match[3], match[1], match[2]];
+    const field = CORRECTION_FIELDS[fieldName];
+    if (!field) return null;
+
+    const amount = parseFloat(number);
+    edits[field] = sign ? { delta: sign === '-' ? -amount : amount } : { value: amount };
+  }
+
+  return Object.keys(edits).length > 0 ? edits : null;
+}
+
+// Swap one food for another ("it was salmon not chicken"), keeping the serving weight.
+// Inside a meal only the matching component is swapped.
+function swapFood(nutrition, newFood, oldFood) {
+  const components = Array.isArray(nutrition.components) ? nutrition.components : [];
+  const oldTokens = tokenizeFoodName(oldFood);
+  const componentIndex = components.findIndex(component =>
+    scoreFoodTerm(oldTokens, tokenizeFoodName(component.food_name)) >= 0.5);
+
+  if (componentIndex !== -1) {
+    const updatedComponents = [...components];
+    updatedComponents[componentIndex] = swapFood(components[componentIndex], newFood, oldFood);
+    return buildMealEntry({ ...nutrition, components: updatedComponents });
+  }
+
+  // Rename in place where possible ("Grilled chicken" -> "Grilled salmon")
+  const escapedOldFood = oldFood.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const oldFoodPattern = new RegExp(`\\b${escapedOldFood}\\b`, 'i');
+  const capitalizedNewFood = newFood.charAt(0).toUpperCase() + newFood.slice(1);
+  const foodName = oldFoodPattern.test(nutrition.food_name)
+    ? nutrition.food_name.replace(oldFoodPattern, newFood)
+    : capitalizedNewFood;
+
+  const updated = { ...nutrition, food_name: foodName, components: undefined };
+
+  // Re-estimate from the database when the new food is a confident match, otherwise keep the numbers
+  const [best] = [foodName, newFood]
+    .map(query => searchFoods(query, 1)[0])
+    .filter(candidate => candidate && candidate.score >= 0.9);
+
+  if (best) {
+    const grams = getServingGrams(nutrition.serving_size);
+    const estimate = grams
+      ? estimateNutrition(best.food.name, grams, 'g')
+      : estimateNutrition(best.food.name, 1, 'serving');
+    Object.keys(NUTRIENT_UNITS).forEach(field => {
+      updated[field] = estimate[field];
+    });
+    updated.serving_size = grams ? nutrition.serving_size : `${estimate.grams}g`;
+    updated.database_match = estimate.match;
+  }
+
+  return updated;
+}
+
+// Apply a structured correction to an existing entry. Returns the updated entry,
+// or null when the text isn't one of the forms below and should be treated as a new food.
+//   "calories 450", "protein +10", "fat -5g"      edit individual fields
+//   "x2", "1.5x", "half", "double", "50%"          scale the whole entry
+//   "serving 300g", "portion 250ml"                rescale to a new serving size
+//   "it was salmon not chicken", "rice instead of noodles"   swap the food
+// Pass allowSwap: false to leave swaps to a fresh photo analysis.
+function applyCorrection(text, nutrition, { allowSwap = true } = {}) {
+  const input = text.toLowerCase().trim().replace(/[.!]+$/, '');
+
+  const scaleMatch = input.match(/^(?:[x×*]\s*(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s*[x×])$/);
+  const percentMatch = input.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  const scaleWordMatch = input.match(/^(?:only\s+|just\s+)?(?:a\s+)?(quarter|half|halve|double|twice|triple)(?:\s+(?:portion|serving|of it|that))?$/);
+
+  let factor = null;
+  if (scaleMatch) {
+    factor = parseFloat(scaleMatch[1] || scaleMatch[2]);
+  } else if (percentMatch) {
+    factor = parseFloat(percentMatch[1]) / 100;
+  } else if (scaleWordMatch) {
+    factor = SCALE_WORDS[scaleWordMatch[1]];
+  }
+
+  if (factor !== null) {
+    return factor > 0 ? scaleNutrition(nutrition, factor) : null;
+  }
+
+  const servingMatch = input.match(/^(?:serving|portion|size|amount)(?:\s+size)?\s*[:=]?\s*(\d+(?:\.\d+)?)\s*(g|kg|ml|l|oz)$/);
+  if (servingMatch) {
+    const quantity = parseFloat(servingMatch[1]);
+    const unit = normalizeUnit(servingMatch[2]);
+    const servingSize = `${quantity}${servingMatch[2]}`;
+    const oldGrams = getServingGrams(nutrition.serving_size);
+
+    if (oldGrams) {
+      const newGrams = convertToGrams({ serving_g: oldGrams }, quantity, unit);
+      return { ...scaleNutrition(nutrition, newGrams / oldGrams), serving_size: servingSize };
+    }
+
+    // Without a known weight for the original estimate, fall back to the database
+    const estimate = estimateNutrition(nutrition.food_name, quantity, unit);
+    const updated = { ...nutrition, serving_size: servingSize, components: undefined, database_match: estimate.match };
+    Object.keys(NUTRIENT_UNITS).forEach(field => {
+      updated[field] = estimate[field];
+    });
+    return updated;
+  }
+
+  const edits = parseFieldEdits(input);
+  if (edits) {
+    return applyFieldEdits(nutrition, edits);
+  }
+
+  const swapMatch = input.match(/^(?:no,?\s+)?(?:it was|it's|its|it is|this is|that was|that's|actually)?\s*(?:a |an |some )?(.+?),?\s+not\s+(?:a |an |the |some )?(.+)$/) ||
+    input.match(/^(?:it was\s+)?(?:a |an |some )?(.+?)\s+instead of\s+(?:a |an |the |some )?(.+)$/);
+  if (swapMatch && allowSwap) {
+    return swapFood(nutrition, swapMatch[1].trim(), swapMatch[2].trim());
+  }
+
+  return null;
+}
+
+// Describe what changed between two versions of an entry, one line per field
+function describeChanges(before, after) {
+  const changes = [];
+
+  if (before.food_name !== after.food_name) {
+    changes.push(`Food: ${before.food_name} → ${after.food_name}`);
+  }
+  if (before.serving_size !== after.serving_size) {
+    changes.push(`Serving: ${before.serving_size} → ${after.serving_size}`);
+  }
+
+  Object.entries(NUTRIENT_UNITS).forEach(([field, unit]) => {
+    const previous = before[field] || 0;
+    const current = after[field] || 0;
+    if (previous !== current) {
+      const difference = roundNutrient(field, Math.abs(current - previous));
+      const label = field.charAt(0).toUpperCase() + field.slice(1);
+      changes.push(`${label}: ${previous} → ${current} ${unit} (${current > previous ? '+' : '-'}${difference})`);
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  searchFoods,
+  parseUserCorrection,
+  parseLocalMeal,
+  applyCorrection,
+  describeChanges
+};
@@ -0,0 +1,72 @@
+// Pieces of the bot's replies shared by several handlers: the analysis message with
+// its buttons, who may press buttons on someone's entry, and Claude error replies.
+// Buttons under every analysis reply. They act on the entry associated with the message they're on.
+const ANALYSIS_KEYBOARD = {
+  inline_keyboard: [[
+    { text: '✅ Correct', callback_data: 'entry:confirm' },
+    { text: '✏️ Edit', callback_data: 'entry:edit' },
+    { text: '🗑 Remove', callback_data: 'entry:remove' }
+  ]]
+};
+
+// Format the reply for a logged food entry, including today's running totals
+// Pass totalsDate when the entry belongs to an earlier day, and changes to list what a correction changed.
+function formatNutritionResponse(nutrition, totals, goals, note, { changes = [], totalsDate = null } = {}) {
+  // Meals with several components list each one so it can be corrected by number
+  const components = nutrition.components || [];
+  let componentList = '';
+  if (components.length > 1) {
+    componentList = `🧾 **Components:**\n`;
+    components.forEach((component, index) => {
+      componentList += `${index + 1}. ${component.food_name} (${component.serving_size}) - ${component.calories} kcal, ` +
+        `P ${component.protein}g, C ${component.carbs}g, F ${component.fat}g\n`;
+    });
+    componentList += `💡 Reply with a number to fix one item, e.g. "2 remove" or "2 150g tofu"\n\n`;
+  }
+
+  // Corrections show what they changed
+  const changeList = changes.length > 0
+    ? `✏️ **Changes:**\n${changes.map(change => `- ${change}`).join('\n')}\n\n`
+    : '';
+
+  return `🍽️ **${nutrition.food_name}**
+
+${componentList}📊 **${components.length > 1 ? 'Meal Total' : 'Nutritional Information'}:**
+- Calories: ${nutrition.calories} kcal
+- Protein: ${nutrition.protein}g
+- Carbs: ${nutrition.carbs}g
+- Fat: ${nutrition.fat}g
+- Fiber: ${nutrition.fiber || 0}g
+- Hydration: ${nutrition.hydration || 0}ml
+
+📏 Serving: ${nutrition.serving_size}
+🎯 Confidence: ${nutrition.confidence}
+
+${changeList}📊 **${totalsDate ? `Totals for ${totalsDate}` : "Today's Totals"}:**
+- Calories: ${totals.calories}/${goals.calories} kcal
+- Protein: ${totals.protein}/${goals.protein}g
+- Carbs: ${totals.carbs}/${goals.carbs}g
+- Fat: ${totals.fat}/${goals.fat}g
+- Fiber: ${totals.fiber}/${goals.fiber}g
+- Hydration: ${totals.hydration}/${goals.hydration}ml
+
+_Note: ${note}_
+Powered by _Claude AI 🤖_`;
+}
+
+// Whether a user may use the buttons on someone's entry or list. Entries without a
+// real Telegram owner (channel posts, anonymous admins) can be handled by anyone in the chat.
+function canUseButtons(ownerId, userId) {
+  if (typeof ownerId === 'string' || ownerId < 0) return true;
+  return String(ownerId) === String(userId);
+}
+
+// The reply when a Claude request fails: the user's hourly limit if that's why, otherwise `fallback`
+function claudeErrorMessage(error, fallback) {
+  if (error.code !== 'CLAUDE_RATE_LIMITED') return fallback;
+
+  const minutes = Math.max(1, Math.ceil(error.retryAfterSeconds / 60));
+  return `⏳ ${error.message} Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
+
+module.exports = { ANALYSIS_KEYBOARD, formatNutritionResponse, canUseButtons, claudeErrorMessage };
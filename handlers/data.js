@@ -0,0 +1,282 @@
+// The user's own data: /export, /import (the CSV arrives as a document), /privacy and /deleteme.
+const { getUserId } = require('../users');
+const { DEFAULT_TIMEZONE } = require('../time');
+const { getReminders, hasActiveReminders } = require('../reminders');
+const { EXPORT_FORMATS, buildUserExport, formatExport } = require('../export');
+const { MAX_IMPORT_BYTES, parseImportCsv, importEntries } = require('../import');
+
+function registerDataHandlers(ctx) {
+  const { bot, storage, conversations, isAuthorized, downloadFile } = ctx;
+  const { loadGoals, getUserSettings, saveUserSettings } = ctx.users;
+  const { clearLeaderboardCache } = ctx.leaderboard;
+
+  // Send the caller's whole log and goals as files: CSV and JSON by default, or one format
+  bot.onText(/^\/export(?:@\w+)?(?:\s+(\S+))?\s*$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    // A full log is personal, so it's only sent in a private chat
+    if (msg.chat.type !== 'private') {
+      await bot.sendMessage(chatId, '🔒 Your export contains your whole food log, so send /export to me in a private chat.');
+      return;
+    }
+
+    const format = match[1] ? match[1].toLowerCase() : null;
+    if (format && !EXPORT_FORMATS.includes(format)) {
+      await bot.sendMessage(chatId, `Usage: /export, or /export ${EXPORT_FORMATS.join(' | ')} for a single format`);
+      return;
+    }
+
+    try {
+      const userId = getUserId(msg);
+      const data = await buildUserExport(storage, userId, await loadGoals(userId));
+      if (data.entries.length === 0 && !data.customGoals) {
+        await bot.sendMessage(chatId, '📭 You haven\'t logged anything yet, so there\'s nothing to export.');
+        return;
+      }
+
+      for (const file of (format ? [format] : ['csv', 'json']).map(name => formatExport(data, name))) {
+        await bot.sendDocument(
+          chatId,
+          Buffer.from(file.content, 'utf8'),
+          {},
+          { filename: file.filename, contentType: file.contentType }
+        );
+      }
+      await bot.sendMessage(chatId, `📦 Exported ${data.entries.length} entr${data.entries.length === 1 ? 'y' : 'ies'} and your goals.`);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t build your export. Please try again later.');
+    }
+  });
+
+  // --- Privacy: /privacy and /deleteme ---
+
+  // What the bot holds about a user, with buttons to hide them from the leaderboard or delete it all
+  async function buildPrivacyView(userId) {
+    const profile = await storage.getUserProfile(userId);
+    const userGoals = await storage.getUserGoals(userId);
+    const settings = await getUserSettings(userId);
+    const days = await storage.getDays(userId);
+    const entriesByDate = days.length > 0 ? await storage.getEntriesByDate(userId, days) : {};
+    const entryCount = Object.values(entriesByDate).reduce((count, entries) => count + entries.length, 0);
+    const hidden = Boolean(settings.leaderboardOptOut);
+
+    let text = '🔐 *Your Data*\n\n';
+    text += `👤 Profile: ${profile ? 'your Telegram name and username, encrypted' : 'none stored'}\n`;
+    text += entryCount > 0
+      ? `📒 Food log: ${entryCount} entr${entryCount === 1 ? 'y' : 'ies'} over ${days.length} day${days.length === 1 ? '' : 's'} (${days[0]} → ${days[days.length - 1]})\n`
+      : '📒 Food log: empty\n';
+    text += `🎯 Goals: ${userGoals ? 'your own' : 'the defaults (none stored for you)'}\n`;
+    text += `⚙️ Settings: time zone ${settings.timezone || DEFAULT_TIMEZONE}` +
+      `, reminders ${hasActiveReminders(getReminders(settings)) ? 'on' : 'off'}` +
+      `, weekly report ${settings.weeklyReport === false ? 'off' : 'on'}\n`;
+    text += `🏆 Leaderboard: ${hidden ? 'hidden' : 'shown, with your name masked'}\n\n`;
+    text += 'The bot also keeps which of its replies belong to which entry (so you can correct them), ' +
+      'Telegram\'s reference to food photos you sent (not the photos), and your last 10 removals and corrections for /undo, for up to a week, ' +
+      'and how many AI analyses you used each day (counts and tokens only) for up to 90 days.\n\n';
+    text += '/export downloads everything. /deleteme deletes it all.';
+
+    return {
+      text,
+      options: {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [hidden
+              ? { text: '🏆 Show me on the leaderboard', callback_data: 'privacy:show' }
+              : { text: '🙈 Hide me from the leaderboard', callback_data: 'privacy:hide' }],
+            [{ text: '🗑 Delete my data', callback_data: 'privacy:delete' }]
+          ]
+        }
+      }
+    };
+  }
+
+  bot.onText(/^\/privacy(?:@\w+)?\s*$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    if (msg.chat.type !== 'private') {
+      await bot.sendMessage(chatId, '🔒 Send /privacy to me in a private chat to see and manage your data.');
+      return;
+    }
+
+    try {
+      const view = await buildPrivacyView(getUserId(msg));
+      await bot.sendMessage(chatId, view.text, view.options);
+    } catch (error) {
+      console.error('Error building privacy view:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t load your data. Please try again later.');
+    }
+  });
+
+  // Buttons under /privacy. They're only ever sent in private chats, so the tapper is the owner.
+  async function handlePrivacyButton(query, action) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+
+    if (action === 'delete') {
+      await bot.answerCallbackQuery(query.id);
+      await conversations.start(chatId, userId, 'deleteme');
+      return;
+    }
+
+    await saveUserSettings(userId, { leaderboardOptOut: action === 'hide' });
+    await clearLeaderboardCache();
+    await bot.answerCallbackQuery(query.id, {
+      text: action === 'hide' ? '🙈 You\'re hidden from the leaderboard.' : '🏆 You\'re back on the leaderboard.'
+    });
+
+    const view = await buildPrivacyView(userId);
+    await bot.editMessageText(view.text, { chat_id: chatId, message_id: query.message.message_id, ...view.options })
+      .catch(() => {});
+  }
+
+  conversations.define('deleteme', {
+    firstStep: 'confirm',
+    timeoutMinutes: 5,
+    cancelMessage: 'Nothing was deleted.',
+    timeoutMessage: '⌛ The deletion wasn\'t confirmed in time, so nothing was deleted. Send /deleteme to start again.',
+    steps: {
+      confirm: {
+        prompt: '⚠️ *Delete all your data?*\n\n' +
+          'This permanently removes your food log, goals, settings, reminders and profile. It can\'t be undone, not even with /undo.\n\n' +
+          'Want a copy first? Send /cancel, then /export.\n\n' +
+          'Tap a button, or type DELETE to confirm.',
+        buttons: [[
+          { text: '🗑 Yes, delete everything', value: 'delete' },
+          { text: 'Keep my data', value: 'keep' }
+        ]],
+        parse: (text) => {
+          const answer = text.trim().toLowerCase();
+          if (answer === 'delete') return 'delete';
+          if (['keep', 'no', 'cancel'].includes(answer)) return 'keep';
+          return null;
+        },
+        invalid: 'Tap a button, or type DELETE to confirm (or send /cancel).',
+        next: null
+      }
+    },
+    complete: async ({ chatId, userId }, data) => {
+      if (data.confirm !== 'delete') {
+        await bot.sendMessage(chatId, 'Nothing was deleted.');
+        return;
+      }
+
+      try {
+        const result = await storage.deleteUserData(userId);
+        await clearLeaderboardCache();
+        console.log(`Deleted data for user ${userId}: ${result.entries} entries, ${result.associations} associations`);
+        await bot.sendMessage(chatId,
+          `🗑 Done. I deleted ${result.entries} food entr${result.entries === 1 ? 'y' : 'ies'}, your goals, settings and profile.\n\n` +
+          'If you use the bot again it starts from scratch.'
+        );
+      } catch (error) {
+        console.error(`Error deleting data for user ${userId}:`, error);
+        await bot.sendMessage(chatId, '❌ Sorry, something went wrong and your data may not be fully deleted. Please try /deleteme again.');
+      }
+    }
+  });
+
+  bot.onText(/^\/deleteme(?:@\w+)?\s*$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    if (msg.chat.type !== 'private') {
+      await bot.sendMessage(chatId, '🔒 Send /deleteme to me in a private chat to delete your data.');
+      return;
+    }
+
+    await conversations.start(chatId, getUserId(msg), 'deleteme');
+  });
+
+  // How long after /import the next file the user sends is taken as the import
+  const IMPORT_WAIT_SECONDS = 30 * 60;
+
+  // Import history from another tracker: /import, then send the CSV file (or send it with /import as the caption)
+  bot.onText(/^\/import(?:@\w+)?\s*$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    if (msg.chat.type !== 'private') {
+      await bot.sendMessage(chatId, '🔒 Imports add to your personal log, so send /import to me in a private chat.');
+      return;
+    }
+
+    await storage.setCache(`import:${getUserId(msg)}`, true, IMPORT_WAIT_SECONDS);
+    await bot.sendMessage(chatId,
+      '📥 *Import your food history*\n\n' +
+      'Send me a CSV export from MyFitnessPal, Cronometer or this bot\'s /export as a file.\n\n' +
+      'I need a date column and a calories (or energy) column; food name, serving, protein, carbs, fat, fiber and water are used when present. ' +
+      'Days you\'ve already logged here are skipped, so nothing is counted twice.',
+      { parse_mode: 'Markdown' }
+    );
+  });
+
+  bot.on('document', async (msg) => {
+    if (msg.chat.type !== 'private') return;
+
+    const chatId = msg.chat.id;
+    const userId = getUserId(msg);
+    const isImportCaption = /^\/import(?:@\w+)?\b/i.test(msg.caption || '');
+
+    try {
+      if (!isImportCaption && !await storage.getCache(`import:${userId}`)) return;
+      await storage.deleteCache(`import:${userId}`);
+
+      const document = msg.document;
+      if (!/\.(csv|txt)$/i.test(document.file_name || '') && !/csv|text\/plain/i.test(document.mime_type || '')) {
+        await bot.sendMessage(chatId, '❌ That doesn\'t look like a CSV file. Export your diary as CSV and send /import again.');
+        return;
+      }
+      if (document.file_size > MAX_IMPORT_BYTES) {
+        await bot.sendMessage(chatId, `❌ That file is too big to import (the limit is ${MAX_IMPORT_BYTES / 1024 / 1024} MB). Try exporting a shorter date range.`);
+        return;
+      }
+
+      let parsed;
+      try {
+        parsed = parseImportCsv((await downloadFile(document.file_id)).toString('utf8'));
+      } catch (error) {
+        await bot.sendMessage(chatId, `❌ ${error.message}`);
+        return;
+      }
+
+      const result = await importEntries(storage, userId, parsed.rows, { chatId });
+      const list = (items) => items.slice(0, 5).join(', ') + (items.length > 5 ? ` and ${items.length - 5} more` : '');
+
+      let report = result.imported > 0
+        ? `📥 Imported ${result.imported} entr${result.imported === 1 ? 'y' : 'ies'} across ${result.importedDays.length} day${result.importedDays.length === 1 ? '' : 's'} ` +
+          `(${result.importedDays[0]} → ${result.importedDays[result.importedDays.length - 1]}).\n`
+        : '📭 Nothing was imported.\n';
+      if (result.skippedDays.length > 0) {
+        report += `\n⏭️ Skipped ${result.skippedDays.length} day${result.skippedDays.length === 1 ? '' : 's'} you'd already logged here: ${list(result.skippedDays)}\n`;
+      }
+      if (parsed.errors.length > 0) {
+        report += `\n⚠️ ${parsed.errors.length} row${parsed.errors.length === 1 ? '' : 's'} couldn't be read: ` +
+          list(parsed.errors.map(error => `line ${error.line} (${error.reason})`)) + '\n';
+      }
+      if (parsed.skipped > 0) {
+        report += `\n${parsed.skipped} empty row${parsed.skipped === 1 ? ' was' : 's were'} ignored.\n`;
+      }
+      if (result.imported > 0) {
+        report += '\nSee them with /history, /week, /month or /report.';
+      }
+
+      // Plain text: food names and file contents can contain Markdown characters
+      await bot.sendMessage(chatId, report.trim());
+    } catch (error) {
+      console.error('Error importing data:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, something went wrong with the import. Please try again later.');
+    }
+  });
+
+  return { handlePrivacyButton };
+}
+
+module.exports = { registerDataHandlers };
@@ -0,0 +1,685 @@
+// Food logging: photos (in private chats and the configured channel), /log and /food,
+// and the replies and buttons on an analysis that correct, edit or remove its entry.
+const { getUserId } = require('../users');
+const { buildMealEntry } = require('../nutrition');
+const { searchFoods, parseUserCorrection, parseLocalMeal, applyCorrection, describeChanges } = require('../foods');
+const { ANALYSIS_KEYBOARD, formatNutritionResponse, canUseButtons, claudeErrorMessage } = require('./common');
+
+function registerFoodHandlers(ctx) {
+  const { bot, storage, claude, conversations, isAuthorized, configuredChatId, downloadFile } = ctx;
+  const { saveSenderInfo, loadGoals } = ctx.users;
+  const { addFoodEntry, getTodayTotals, getAssociationTotals } = ctx.tracking;
+  const { recordChange, undoKeyboard } = ctx.undo;
+  const { analyzeFood, analyzeFoodText } = claude;
+
+  // Link a bot reply to the entry it describes. savedEntry is the { entry, date } returned by addFoodEntry.
+  async function saveMessageAssociation(messageId, chatId, userId, savedEntry, photo = null) {
+    // Store the association with the owning user and a reference to the entry
+    const association = {
+      chatId: chatId,
+      userId: userId,
+      entryId: savedEntry.entry.id,
+      date: savedEntry.date,
+      nutritionData: savedEntry.entry,
+      timestamp: new Date().toISOString()
+    };
+
+    // Photo analyses keep the Telegram file ID so a correction can re-analyze the image
+    if (photo) {
+      association.photoFileId = photo.fileId;
+      association.caption = photo.caption || null;
+    }
+
+    await storage.saveAssociation(chatId, messageId, association);
+  }
+
+  // Update the entry a bot message refers to. actorId is who made the change, for /undo.
+  // Returns the ID of the undo record, or false if the entry no longer exists.
+  async function updateNutritionByMessageId(chatId, messageId, updatedNutritionData, actorId) {
+    const association = await storage.getAssociation(chatId, messageId);
+
+    if (!association) {
+      throw new Error('No association found for this message');
+    }
+
+    const ownerId = association.userId || association.chatId;
+    const updatedEntry = await storage.updateEntry(ownerId, association.date, association.entryId, {
+      ...updatedNutritionData,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!updatedEntry) {
+      return false;
+    }
+
+    // Keep the association in step so later corrections start from the new values
+    await storage.saveAssociation(chatId, messageId, { ...association, nutritionData: updatedEntry });
+
+    // The association still holds the entry as it was before this change
+    return recordChange(actorId, {
+      type: 'update',
+      ownerId,
+      date: association.date,
+      entry: association.nutritionData,
+      message: { chatId, messageId, association }
+    });
+  }
+
+  // Re-run the photo analysis with the user's correction as extra context.
+  // Returns the refined entry, or null if the photo or Claude isn't available.
+  async function reanalyzePhoto(msg, association) {
+    const original = association.nutritionData;
+
+    try {
+      await bot.sendMessage(msg.chat.id, '🔍 Re-analyzing your photo...', { reply_to_message_id: msg.message_id });
+
+      const base64Image = await downloadImage(association.photoFileId);
+      const refined = await analyzeFood(base64Image, association.caption, { previous: original, text: msg.text }, { userId: getUserId(msg) });
+
+      // The refined analysis replaces the old one, including its component breakdown
+      return { ...original, components: undefined, ...refined };
+    } catch (error) {
+      console.error('Error re-analyzing photo:', error);
+      return null;
+    }
+  }
+
+  // Process user correction to bot analysis
+  async function processCorrection(msg) {
+    const chatId = msg.chat.id;
+    const replyMessageId = msg.reply_to_message.message_id;
+
+    try {
+      const association = await storage.getAssociation(chatId, replyMessageId);
+
+      if (!association) {
+        await bot.sendMessage(chatId,
+          '❌ Could not find the original analysis to update.',
+          { reply_to_message_id: msg.message_id }
+        );
+        return;
+      }
+
+      const original = association.nutritionData;
+
+      // Adjust the existing estimate where the reply says how ("x2", "protein +10").
+      // A different food in a photo is better answered by looking at the photo again.
+      let updated = applyCorrection(msg.text, original, { allowSwap: !association.photoFileId });
+      let note = 'Updated based on user correction.';
+      if (updated) {
+        updated.confidence = 'manually corrected';
+      }
+
+      // Otherwise ask Claude to look at the original photo again with the user's clarification
+      if (!updated && association.photoFileId) {
+        updated = await reanalyzePhoto(msg, association);
+        if (updated) {
+          note = 'Re-analyzed from your photo with your correction.';
+        }
+      }
+
+      // Text entries (or a failed re-analysis) fall back to the food database ("500ml coke")
+      if (!updated) {
+        const correction = parseUserCorrection(msg.text);
+        // A whole-entry correction replaces any component breakdown
+        updated = { ...original, ...correction, components: undefined, confidence: 'manually corrected' };
+        if (!correction.database_match) {
+          note = 'No match in the food database, so this is a generic estimate.';
+        }
+      }
+
+      const changes = describeChanges(original, updated);
+
+      if (changes.length === 0) {
+        await bot.sendMessage(chatId,
+          'ℹ️ That doesn\'t change anything in this entry.',
+          { reply_to_message_id: msg.message_id }
+        );
+        return;
+      }
+
+      const changeId = await updateNutritionByMessageId(chatId, replyMessageId, updated, getUserId(msg));
+
+      if (!changeId) {
+        await bot.sendMessage(chatId,
+          '❌ Could not find the original analysis to update.',
+          { reply_to_message_id: msg.message_id }
+        );
+        return;
+      }
+
+      // Send confirmation to user
+      await bot.sendMessage(chatId,
+        `✅ Analysis updated!\n\n` + changes.map(change => `✏️ ${change}`).join('\n'),
+        { reply_to_message_id: msg.message_id, reply_markup: undoKeyboard(changeId) }
+      );
+
+      // Update the original message with the corrected information
+      try {
+        const ownerId = association.userId || association.chatId;
+        const { totals, totalsDate } = await getAssociationTotals(association);
+        const goals = await loadGoals(ownerId);
+
+        await bot.editMessageText(formatNutritionResponse(updated, totals, goals, note, { changes, totalsDate }), {
+          chat_id: chatId,
+          message_id: replyMessageId,
+          parse_mode: 'Markdown',
+          reply_markup: ANALYSIS_KEYBOARD
+        });
+      } catch (error) {
+        console.error('Error updating original message:', error);
+      }
+    } catch (error) {
+      console.error('Error processing correction:', error);
+      await bot.sendMessage(chatId,
+        '❌ Sorry, I couldn\'t process your correction. You can reply with:\n\n' +
+        '• a food and serving: "500ml coke", "2 eggs"\n' +
+        '• a field: "calories 450", "protein +10"\n' +
+        '• a scale: "x2", "half", "serving 300g"\n' +
+        '• a swap: "it was salmon not chicken"',
+        { reply_to_message_id: msg.message_id }
+      );
+    }
+  }
+
+  // Handle a numbered reply to a multi-component meal, e.g. "2 remove" or "2 150g tofu"
+  async function handleComponentReply(msg, association, componentIndex, instruction) {
+    const chatId = msg.chat.id;
+    const replyMessageId = msg.reply_to_message.message_id;
+    const ownerId = association.userId || association.chatId;
+    const components = [...association.nutritionData.components];
+
+    if (componentIndex < 0 || componentIndex >= components.length) {
+      await bot.sendMessage(chatId,
+        `❌ There is no item ${componentIndex + 1} in this meal. Pick a number from 1 to ${components.length}.`,
+        { reply_to_message_id: msg.message_id }
+      );
+      return;
+    }
+
+    const removalKeywords = ['remove', 'delete', 'erase'];
+    const isRemoval = instruction === '' || removalKeywords.some(keyword => instruction.toLowerCase().includes(keyword));
+
+    // Removing the only remaining item removes the whole entry
+    if (isRemoval && components.length === 1) {
+      await handleRemovalCommand(msg);
+      return;
+    }
+
+    let confirmation;
+    if (isRemoval) {
+      const [removed] = components.splice(componentIndex, 1);
+      confirmation = `✅ Removed item ${componentIndex + 1}: ${removed.food_name}`;
+    } else {
+      // "2 x2" or "2 protein +5" adjust the item, "2 150g tofu" replaces it
+      const correction = applyCorrection(instruction, components[componentIndex]) || parseUserCorrection(instruction);
+      components[componentIndex] = correction;
+      confirmation = `✅ Updated item ${componentIndex + 1}: ${correction.food_name} (${correction.serving_size}) - ${correction.calories} kcal`;
+    }
+
+    const meal = buildMealEntry({ ...association.nutritionData, components, confidence: 'manually corrected' });
+    const changeId = await updateNutritionByMessageId(chatId, replyMessageId, meal, getUserId(msg));
+
+    if (!changeId) {
+      await bot.sendMessage(chatId,
+        '❌ Could not find the original analysis to update.',
+        { reply_to_message_id: msg.message_id }
+      );
+      return;
+    }
+
+    await bot.sendMessage(chatId, confirmation, { reply_to_message_id: msg.message_id, reply_markup: undoKeyboard(changeId) });
+
+    // Refresh the original analysis with the new breakdown
+    try {
+      const { totals, totalsDate } = await getAssociationTotals(association);
+      const goals = await loadGoals(ownerId);
+
+      await bot.editMessageText(
+        formatNutritionResponse(meal, totals, goals, 'Updated based on user correction.', { totalsDate }),
+        {
+          chat_id: chatId,
+          message_id: replyMessageId,
+          parse_mode: 'Markdown',
+          reply_markup: ANALYSIS_KEYBOARD
+        }
+      );
+    } catch (error) {
+      console.error('Error updating original message:', error);
+    }
+  }
+
+  // Handle removal command when user replies to a bot message
+  async function handleRemovalCommand(msg) {
+    const chatId = msg.chat.id;
+    const replyMessageId = msg.reply_to_message.message_id;
+
+    // Save user info
+    await saveSenderInfo(msg);
+
+    // Check if we have an association for this message
+    const association = await storage.getAssociation(chatId, replyMessageId);
+
+    if (!association) {
+      await bot.sendMessage(chatId,
+        '❌ Could not find the original analysis to remove.',
+        { reply_to_message_id: msg.message_id }
+      );
+      return;
+    }
+
+    const ownerId = association.userId || association.chatId;
+
+    try {
+      // Remove the entry, which may be from an earlier day
+      const removedEntry = await storage.removeEntry(ownerId, association.date, association.entryId);
+
+      if (!removedEntry) {
+        throw new Error('Could not find matching entry');
+      }
+
+      // Remove the message association
+      await storage.deleteAssociation(chatId, replyMessageId);
+
+      const changeId = await recordChange(getUserId(msg), {
+        type: 'remove',
+        ownerId,
+        date: association.date,
+        entry: removedEntry,
+        message: { chatId, messageId: replyMessageId, association }
+      });
+
+      // Get updated totals for the day the entry was logged
+      const { totals, totalsDate } = await getAssociationTotals(association);
+      const goals = await loadGoals(ownerId);
+
+      // Send confirmation message
+      let response = `✅ Removed: ${removedEntry.food_name}\n\n`;
+      response += `📊 *Updated Nutrition Totals${totalsDate ? ` for ${totalsDate}` : ''}:*\n`;
+      response += `- Calories: ${totals.calories}/${goals.calories} kcal\n`;
+      response += `- Protein: ${totals.protein}/${goals.protein}g\n`;
+      response += `- Carbs: ${totals.carbs}/${goals.carbs}g\n`;
+      response += `- Fat: ${totals.fat}/${goals.fat}g`;
+
+      await bot.sendMessage(chatId, response, {
+        reply_to_message_id: msg.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: undoKeyboard(changeId)
+      });
+
+      // Also edit the original message to indicate it was removed
+      try {
+        await bot.editMessageText(
+          `❌ *Entry Removed*\n\nThis food entry has been removed from your daily log. Send /undo to bring it back.`,
+          {
+            chat_id: chatId,
+            message_id: replyMessageId,
+            parse_mode: 'Markdown'
+          }
+        );
+      } catch (editError) {
+        // Ignore edit errors - the confirmation message is sufficient
+        console.log('Could not edit original message, but removal was successful');
+      }
+    } catch (error) {
+      console.error('Error removing entry:', error);
+      await bot.sendMessage(chatId,
+        '❌ Sorry, I couldn\'t remove that entry. Please try again later.',
+        { reply_to_message_id: msg.message_id }
+      );
+    }
+  }
+
+  async function downloadImage(fileId) {
+    return (await downloadFile(fileId)).toString('base64');
+  }
+
+  // Handle photo messages
+  bot.on('photo', async (msg) => {
+    const chatId = msg.chat.id;
+
+    // Only respond to configured chat or private messages
+    if (!isAuthorized(msg)) {
+      return;
+    }
+
+    try {
+      await saveSenderInfo(msg);
+      await bot.sendMessage(chatId, '🔍 Analyzing your food...');
+
+      // Get highest quality photo
+      const photo = msg.photo[msg.photo.length - 1];
+      const base64Image = await downloadImage(photo.file_id);
+
+      // Extract caption if available
+      const caption = msg.caption;
+
+      // Analyze with Claude, passing caption if available
+      const nutrition = await analyzeFood(base64Image, caption, null, { userId: getUserId(msg) });
+
+      // Save nutrition entry under the sender, not the shared chat
+      const userId = getUserId(msg);
+      const savedEntry = await addFoodEntry(userId, nutrition, chatId);
+
+      // Get today's totals
+      const totals = await getTodayTotals(userId);
+      const goals = await loadGoals(userId);
+
+      // Format response
+      const response = formatNutritionResponse(nutrition, totals, goals, 'These are estimates based on visual analysis.');
+
+      // Save message association for future corrections
+      const sentMessage = await bot.sendMessage(chatId, response, { parse_mode: 'Markdown', reply_markup: ANALYSIS_KEYBOARD });
+      await saveMessageAssociation(sentMessage.message_id, chatId, userId, savedEntry, { fileId: photo.file_id, caption });
+
+    } catch (error) {
+      console.error('Error:', error);
+      await bot.sendMessage(
+        chatId,
+        claudeErrorMessage(error, '❌ Sorry, I had trouble analyzing that image. Please try again.')
+      );
+    }
+  });
+
+  // Handle channel post photo messages
+  bot.on('channel_post', async (msg) => {
+    // Check if this is a channel post from our configured chat and contains a photo
+    if (msg.chat.id.toString() !== configuredChatId || !msg.photo) {
+      return;
+    }
+
+    try {
+      // For channel posts, we send the response to the same channel
+      const chatId = msg.chat.id;
+
+      await bot.sendMessage(chatId, '🔍 Analyzing your food...', { reply_to_message_id: msg.message_id });
+
+      // Get highest quality photo
+      const photo = msg.photo[msg.photo.length - 1];
+      const base64Image = await downloadImage(photo.file_id);
+
+      // Extract caption if available
+      const caption = msg.caption;
+
+      // Analyze with Claude, passing caption if available
+      const nutrition = await analyzeFood(base64Image, caption, null, { userId: getUserId(msg) });
+
+      // Save nutrition entry under the sender, not the shared chat
+      const userId = getUserId(msg);
+      const savedEntry = await addFoodEntry(userId, nutrition, chatId);
+
+      // Get today's totals
+      const totals = await getTodayTotals(userId);
+      const goals = await loadGoals(userId);
+
+      // Format response
+      const response = formatNutritionResponse(nutrition, totals, goals, 'These are estimates based on visual analysis.');
+
+      // Save message association for future corrections
+      const sentMessage = await bot.sendMessage(chatId, response, { parse_mode: 'Markdown', reply_to_message_id: msg.message_id, reply_markup: ANALYSIS_KEYBOARD });
+      await saveMessageAssociation(sentMessage.message_id, chatId, userId, savedEntry, { fileId: photo.file_id, caption });
+
+    } catch (error) {
+      console.error('Error:', error);
+      // For channel posts, we still try to respond in the channel
+      await bot.sendMessage(
+        msg.chat.id,
+        claudeErrorMessage(error, '❌ Sorry, I had trouble analyzing that image. Please try again.'),
+        { reply_to_message_id: msg.message_id }
+      );
+    }
+  });
+
+  // Forward channel post text messages (commands, answers) to the message handlers.
+  // bot.onText() callbacks only run for 'message' updates, and only from processUpdate(),
+  // so the post goes back through it as a message (emitting 'message' would skip them).
+  bot.on('channel_post', (msg) => {
+    if (msg.text && msg.chat.id.toString() === configuredChatId) {
+      bot.processUpdate({ message: msg });
+    }
+  });
+
+  // Log food from a text description, e.g. "/log 2 eggs and toast with butter"
+  bot.onText(/^\/log(?:@\w+)?(?:\s+([\s\S]*))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    const description = (match[1] || '').trim();
+
+    if (!description) {
+      await bot.sendMessage(
+        chatId,
+        '✍️ Describe what you ate after the command, e.g.\n`/log 2 eggs and toast with butter`',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    try {
+      await saveSenderInfo(msg);
+      await bot.sendMessage(chatId, '🔍 Analyzing your meal...');
+
+      // Simple descriptions ("2 eggs and toast") are handled by the local food database
+      const localItems = parseLocalMeal(description);
+      const items = localItems || await analyzeFoodText(description, { userId: getUserId(msg) });
+      const note = localItems ? 'Estimated from the local food database.' : 'These are estimates based on your description.';
+
+      if (items.length === 0) {
+        await bot.sendMessage(
+          chatId,
+          '🤔 I couldn\'t find any food or drink in that description. Try something like `/log bowl of oatmeal with banana`.',
+          { parse_mode: 'Markdown', reply_to_message_id: msg.message_id }
+        );
+        return;
+      }
+
+      const userId = getUserId(msg);
+      const goals = await loadGoals(userId);
+
+      // Each item gets its own entry and reply, so it can be corrected or removed on its own
+      for (const nutrition of items) {
+        const savedEntry = await addFoodEntry(userId, nutrition, chatId);
+        const totals = await getTodayTotals(userId);
+
+        const response = formatNutritionResponse(nutrition, totals, goals, note);
+
+        // Save message association for future corrections
+        const sentMessage = await bot.sendMessage(chatId, response, {
+          parse_mode: 'Markdown',
+          reply_to_message_id: msg.message_id,
+          reply_markup: ANALYSIS_KEYBOARD
+        });
+        await saveMessageAssociation(sentMessage.message_id, chatId, userId, savedEntry);
+      }
+    } catch (error) {
+      console.error('Error logging food from text:', error);
+      await bot.sendMessage(
+        chatId,
+        claudeErrorMessage(error, '❌ Sorry, I had trouble analyzing that description. Please try again.'),
+        { reply_to_message_id: msg.message_id }
+      );
+    }
+  });
+
+  // Look up a food in the local database, e.g. "/food brown rice"
+  bot.onText(/^\/food(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    const query = (match[1] || '').trim();
+
+    if (!query) {
+      await bot.sendMessage(chatId, '🔎 Tell me what to look up, e.g. `/food brown rice`', { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const candidates = searchFoods(query);
+
+    if (candidates.length === 0) {
+      await bot.sendMessage(chatId, `📭 No foods matching "${query}" in the database.`);
+      return;
+    }
+
+    let response = `🔎 Food database matches for "${query}" (per 100g):\n\n`;
+    candidates.forEach(({ food }, index) => {
+      const per100g = food.per_100g;
+      response += `${index + 1}. ${food.name} - ${per100g.calories} kcal, P ${per100g.protein}g, C ${per100g.carbs}g, F ${per100g.fat}g, fiber ${per100g.fiber}g ` +
+        `(serving ${food.serving_g}g)\n`;
+    });
+
+    await bot.sendMessage(chatId, response);
+  });
+
+  // The bot's own user ID, fetched once from Telegram
+  let botUserId = null;
+  async function getBotUserId() {
+    if (!botUserId) {
+      const me = await bot.getMe();
+      botUserId = me.id;
+    }
+    return botUserId;
+  }
+
+  // Handle user replies to bot messages (for correcting analysis or removing entries)
+  bot.on('message', async (msg) => {
+    // Check if this message is a reply to another message
+    if (!msg.reply_to_message || !msg.reply_to_message.from || !msg.text) return;
+
+    // Check if the reply is to a bot message (from this bot)
+    try {
+      if (msg.reply_to_message.from.id !== await getBotUserId()) return;
+    } catch (error) {
+      console.error('Error fetching bot info:', error);
+      return;
+    }
+
+    // Commands are handled by their own listeners
+    if (msg.text.startsWith('/')) return;
+
+    // Only replies to a logged analysis can correct or remove it
+    let association;
+    try {
+      association = await storage.getAssociation(msg.chat.id, msg.reply_to_message.message_id);
+    } catch (error) {
+      console.error('Error loading message associations:', error);
+      return;
+    }
+    if (!association) return;
+
+    await handleAnalysisReply(msg, association);
+  });
+
+  // Act on a reply to a logged analysis: a numbered item, a removal, or a correction.
+  // msg.reply_to_message is the analysis message.
+  async function handleAnalysisReply(msg, association) {
+    // Numbered replies target a single component of a multi-item meal
+    const componentMatch = msg.text.trim().match(/^#?(\d+)[.)]?(?:\s+([\s\S]*))?$/);
+    if (componentMatch) {
+      const components = association.nutritionData.components;
+      const componentNumber = parseInt(componentMatch[1], 10);
+
+      // Only numbers that point at a listed item count; "200 g rice" stays a normal correction
+      if (components && components.length > 1 && componentNumber >= 1 && componentNumber <= components.length) {
+        try {
+          await handleComponentReply(msg, association, componentNumber - 1, (componentMatch[2] || '').trim());
+        } catch (error) {
+          console.error('Error processing component reply:', error);
+        }
+        return;
+      }
+    }
+
+    // Check if the reply is a removal command. Whole words only, so "deleted the sauce" or
+    // "the cancelled order" aren't read as removals (and /undo can bring an entry back anyway).
+    const isRemovalCommand = /\b(remove|delete|erase)\b/i.test(msg.text);
+
+    if (isRemovalCommand) {
+      // Handle removal command
+      try {
+        await handleRemovalCommand(msg);
+      } catch (error) {
+        console.error('Error processing removal command:', error);
+        // Don't send error message to avoid spamming the user
+      }
+      return;
+    }
+
+    // Process the correction
+    try {
+      await processCorrection(msg);
+    } catch (error) {
+      console.error('Error processing correction:', error);
+      // Don't send error message to avoid spamming the user
+    }
+  }
+
+  // ✏️ Edit under an analysis: the next message is handled as if it were a reply to the analysis
+  conversations.define('edit_entry', {
+    firstStep: 'correction',
+    timeoutMinutes: 5,
+    cancelMessage: 'Edit cancelled.',
+    timeoutMessage: '⌛ Edit timed out. Tap ✏️ Edit again, or reply to the analysis with your correction.',
+    steps: {
+      correction: {
+        prompt: (data) => `✏️ *What should I change about ${data.foodName}?*\n\n` +
+          'For example `x2`, `half`, `protein +10`, `500ml coke`, `it was salmon not chicken`, ' +
+          'or a number and change for one item of a meal (`2 150g tofu`).\n\n' +
+          'Send /cancel to leave it as it is.',
+        next: null
+      }
+    },
+    complete: async ({ chatId, msg }, data) => {
+      const association = await storage.getAssociation(chatId, data.messageId);
+      if (!association) {
+        await bot.sendMessage(chatId, '❌ That entry has been removed, so there\'s nothing to edit.');
+        return;
+      }
+
+      await handleAnalysisReply({ ...msg, reply_to_message: { message_id: data.messageId } }, association);
+    }
+  });
+
+  // ✅ / ✏️ / 🗑 under an analysis reply
+  async function handleEntryButton(query, action) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const userId = query.from.id;
+    const association = await storage.getAssociation(chatId, messageId);
+
+    if (!association) {
+      await bot.answerCallbackQuery(query.id, { text: 'This entry has already been removed.' });
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+      return;
+    }
+
+    if (!canUseButtons(association.userId, userId)) {
+      await bot.answerCallbackQuery(query.id, { text: 'Only the person who logged this can change it.', show_alert: true });
+      return;
+    }
+
+    // Act as if the user had replied to the analysis message
+    const msg = { chat: query.message.chat, from: query.from, message_id: messageId, reply_to_message: query.message };
+
+    if (action === 'confirm') {
+      await bot.answerCallbackQuery(query.id, { text: '✅ Thanks, keeping it as it is.' });
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+    } else if (action === 'edit') {
+      await bot.answerCallbackQuery(query.id);
+      await conversations.start(chatId, userId, 'edit_entry', {
+        messageId,
+        foodName: association.nutritionData.food_name
+      });
+    } else if (action === 'remove') {
+      await bot.answerCallbackQuery(query.id);
+      await handleRemovalCommand(msg);
+    } else {
+      await bot.answerCallbackQuery(query.id);
+    }
+  }
+
+  return { handleEntryButton };
+}
+
+module.exports = { registerFoodHandlers };
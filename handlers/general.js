@@ -0,0 +1,289 @@
+// General commands: /start, /help, /feedback, /cancel and the developer's /users, /usage, /rotatekey
+// and /discardnames.
+const { getUserId } = require('../users');
+const { formatCost } = require('../usage');
+
+function registerGeneralHandlers(ctx) {
+  const { bot, storage, identity, usage, conversations, isAuthorized, developerChatId } = ctx;
+  const { saveUserInfo, getAllUsers, getDisplayName } = ctx.users;
+
+  // Whether a message comes from the developer (channel posts have no sender)
+  function isDeveloper(msg) {
+    return Boolean(msg.from) && msg.from.id.toString() === developerChatId;
+  }
+
+  // Start message
+  bot.onText(/\/start/, (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    bot.sendMessage(
+      chatId,
+      '👋 Welcome to Food Analyst Bot!\n\n' +
+      '📸 Send me a photo of your food and I\'ll analyze its nutritional content.\n\n' +
+      '📋 For available commands, type /help\n\n' +
+      '*Works in both direct messages and channel posts!*\n\n' +
+      'Powered by Claude AI 🤖'
+    );
+  });
+
+  // Help command
+  bot.onText(/\/help/, (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    const helpMessage = '🤖 *Food Analyst Bot Commands*\n\n' +
+      '📸 *Food Analysis:*\n' +
+      'Simply send a photo of your food to get nutritional information including fiber and hydration content\n' +
+      '/log - Log food from a text description, e.g. /log 2 eggs and toast\n' +
+      '/food - Look up a food in the nutrition database, e.g. /food brown rice\n\n' +
+      '📋 *Tracking Commands:*\n' +
+      '/goals - Set your daily nutrition goals (calories, protein, carbs, fat, fiber, hydration)\n' +
+      '/summary - Get today\'s nutrition summary including fiber and hydration\n' +
+      '/progress - Check your progress toward all nutrition goals\n' +
+      '/history YYYY-MM-DD - View the log for a past day (or /history yesterday)\n' +
+      '/week - Daily totals, averages and goal hit-rates for the last 7 days\n' +
+      '/month - The same overview for the last 30 days\n' +
+      '/report - Weekly report with a chart (/report month for 30 days, /report off to stop the Monday report)\n' +
+      '/erase - List and remove food entries\n' +
+      '/undo - Undo your last removal or correction\n' +
+      '/export - Download your log and goals as CSV and JSON (/export fhir for a FHIR bundle)\n' +
+      '/import - Bring in history from a MyFitnessPal or Cronometer CSV export\n' +
+      '/privacy - See what the bot stores about you and hide yourself from the leaderboard\n' +
+      '/deleteme - Permanently delete all your data\n' +
+      '/timezone - View or set your time zone for daily tracking\n' +
+      '/remind - Meal reminders, hydration pings and nudges, e.g. /remind lunch 12:30\n\n' +
+      '🏆 *Leaderboard Commands:*\n' +
+      '/leaderboard or /top - View the nutrition leaderboard with masked names\n\n' +
+      '📬 *Feedback Commands:*\n' +
+      '/feedback - Send bug reports or suggestions to the developer\n\n' +
+      'ℹ️ *Usage Tips:*\n' +
+      '- Works in both direct messages and channel posts\n' +
+      '- /goals and /feedback ask follow-up questions; send /cancel to stop at any point\n' +
+      '- Manual goals are entered as: calories, protein, carbs, fat, fiber, hydration\n\n' +
+      '💬 *For Developers:*\n' +
+      '- User names in feedback are clickable links\n' +
+      '- Use /users to see recent user interactions\n' +
+      '- Use /usage to see Claude requests, tokens and estimated cost\n' +
+      '- Use /rotatekey after changing `ENCRYPTION_KEY`\n' +
+      '- Use /discardnames if the key stored names were encrypted with is lost\n\n' +
+      'Powered by Claude AI 🤖';
+
+    bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+  });
+
+  // Feedback command: the next message is forwarded to the developer
+  conversations.define('feedback', {
+    firstStep: 'message',
+    timeoutMinutes: 5,
+    cancelMessage: 'Feedback cancelled.',
+    timeoutMessage: '⌛ Feedback timed out. Send /feedback to try again.',
+    steps: {
+      message: {
+        prompt: '📬 *Send Feedback*\n\n' +
+          'Please type your bug report or suggestion and I\'ll forward it to my developer @JulianC97.\n\n' +
+          'You can also contact the developer directly on Telegram: @JulianC97\n\n' +
+          'Or type /cancel to cancel.',
+        next: null
+      }
+    },
+    complete: async ({ chatId, msg }, data) => {
+      try {
+        const userInfo = `${msg.from.first_name || ''} ${msg.from.last_name || ''}`.trim() ||
+                        msg.from.username ||
+                        `User ${msg.from.id}`;
+
+        // Save user information for future reference
+        await saveUserInfo(msg.from.id, {
+          firstName: msg.from.first_name,
+          lastName: msg.from.last_name,
+          username: msg.from.username,
+          fullName: userInfo
+        });
+
+        const feedbackMessage = `📬 *New Feedback*\n\n` +
+          `From: [${userInfo}](tg://user?id=${msg.from.id}) (${msg.from.id})\n` +
+          `Date: ${new Date().toLocaleString()}\n\n` +
+          `📝 Message:\n${data.message}\n\n` +
+          `🔄 *To Respond:*\n` +
+          `Click on the user's name above to open a chat with them directly.`;
+
+        // Send feedback to developer if chat ID is configured
+        if (developerChatId) {
+          await bot.sendMessage(developerChatId, feedbackMessage, { parse_mode: 'Markdown' });
+        } else {
+          // Fallback: Log to console if no developer chat ID is set
+          console.log(`Feedback received from ${userInfo}: ${data.message}`);
+          console.log('Note: Set developerChatId in environment variables to receive feedback directly.');
+        }
+
+        await bot.sendMessage(chatId, 'Thank you for your feedback! I\'ve forwarded it to my developer.');
+      } catch (error) {
+        console.error('Error sending feedback:', error);
+        bot.sendMessage(chatId, 'Sorry, there was an error sending your feedback. Please try again later.');
+      }
+    }
+  });
+
+  bot.onText(/\/feedback/, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    await conversations.start(chatId, getUserId(msg), 'feedback');
+  });
+
+  // Cancel whatever multi-step flow the user is in
+  bot.onText(/^\/cancel(?:@\w+)?\s*$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      if (!await conversations.cancel(chatId, getUserId(msg))) {
+        await bot.sendMessage(chatId, 'Nothing to cancel.');
+      }
+    } catch (error) {
+      console.error('Error cancelling conversation:', error);
+    }
+  });
+
+  // View recent users command (developer only)
+  bot.onText(/\/users/, async (msg) => {
+    // Only allow developer to use this command
+    if (msg.from.id.toString() !== developerChatId) {
+      return;
+    }
+
+    try {
+      // Get users data from storage
+      const users = await storage.getAllUserProfiles();
+
+      let response = '👥 *Recent Users*\n\n';
+
+      // Convert to array and sort by last seen
+      const userList = Object.entries(users)
+        .map(([id, info]) => ({
+          id,
+          ...info,
+          ...identity.readProfile(info)
+        }))
+        .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
+        .slice(0, 10); // Show only last 10 users
+
+      if (userList.length === 0) {
+        response += 'No users found.';
+      } else {
+        userList.forEach(user => {
+          const name = user.fullName || user.username || `User ${user.id}`;
+          const date = new Date(user.lastSeen).toLocaleDateString();
+          response += `• [${name}](tg://user?id=${user.id}) (${user.id}) - ${date}\n`;
+        });
+      }
+
+      await bot.sendMessage(developerChatId, response, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      await bot.sendMessage(developerChatId, '❌ Error fetching user list.');
+    }
+  });
+
+  // Claude requests, tokens and estimated cost: today by user, and the last 7 days (developer only)
+  bot.onText(/^\/usage(?:@\w+)?\s*$/i, async (msg) => {
+    if (!isDeveloper(msg)) {
+      return;
+    }
+
+    const describe = (counters) => `${counters.requests} requests, ` +
+      `${counters.inputTokens.toLocaleString('en-US')} in / ${counters.outputTokens.toLocaleString('en-US')} out tokens, ` +
+      `~${formatCost(counters.costMicros)}`;
+
+    try {
+      const today = await usage.getDayUsage();
+      const week = (await usage.getRecentUsage(7)).reduce((total, day) => ({
+        requests: total.requests + day.requests,
+        inputTokens: total.inputTokens + day.inputTokens,
+        outputTokens: total.outputTokens + day.outputTokens,
+        costMicros: total.costMicros + day.costMicros
+      }), { requests: 0, inputTokens: 0, outputTokens: 0, costMicros: 0 });
+
+      let response = '📊 Claude Usage\n\n' +
+        `Today (${today.date}, UTC): ${describe(today.totals)}\n` +
+        `Last 7 days: ${describe(week)}`;
+
+      const topUsers = Object.entries(today.users)
+        .sort(([, a], [, b]) => b.costMicros - a.costMicros || b.requests - a.requests)
+        .slice(0, 10);
+
+      if (topUsers.length > 0) {
+        const profiles = await getAllUsers();
+        response += '\n\nToday by user:\n' + topUsers
+          .map(([userId, counters]) => `• ${getDisplayName(userId, profiles)} (${userId}): ${describe(counters)}`)
+          .join('\n');
+      }
+
+      await bot.sendMessage(msg.chat.id, response);
+    } catch (error) {
+      console.error('Error fetching Claude usage:', error);
+      await bot.sendMessage(msg.chat.id, '❌ Error fetching Claude usage.');
+    }
+  });
+
+  // Re-encrypt stored names under the current ENCRYPTION_KEY (developer only), after
+  // moving the old key to ENCRYPTION_PREVIOUS_KEYS. See identity.js.
+  bot.onText(/^\/rotatekey(?:@\w+)?\s*$/i, async (msg) => {
+    if (!isDeveloper(msg)) {
+      return;
+    }
+
+    if (!identity.canStoreNames()) {
+      await bot.sendMessage(msg.chat.id, `❌ ${identity.getKeyStatus().message}`);
+      return;
+    }
+
+    try {
+      const result = await identity.rotateNames();
+      let response = `🔑 Re-encrypted with the current key: ${result.names} names in ${result.profiles} profiles.`;
+      if (result.unreadable > 0) {
+        response += `\n\n⚠️ Names no configured key can read: ${result.unreadable}. They were left as they are and are replaced the next time those users write to the bot.`;
+      }
+      response += '\n\nENCRYPTION_PREVIOUS_KEYS can now be removed from both services.';
+      await bot.sendMessage(msg.chat.id, response);
+    } catch (error) {
+      console.error('Error rotating encryption key:', error);
+      await bot.sendMessage(msg.chat.id, '❌ Error re-encrypting names. Names already done stay readable; please try again.');
+    }
+  });
+
+  // Remove the stored names no configured key can read and adopt the current ENCRYPTION_KEY
+  // (developer only): the way out of a key mismatch when the old key is lost. Needs "confirm".
+  bot.onText(/^\/discardnames(?:@\w+)?(?:\s+(\S+))?\s*$/i, async (msg, match) => {
+    if (!isDeveloper(msg)) {
+      return;
+    }
+
+    if ((match[1] || '').toLowerCase() !== 'confirm') {
+      await bot.sendMessage(msg.chat.id,
+        `🔑 Key status: ${identity.getKeyStatus().message}\n\n` +
+        'This removes every stored name that no configured key can read and makes the current ENCRYPTION_KEY ' +
+        'the one names are stored with. Removed names come back as users write to the bot again. ' +
+        'Only do this if the key they were written with is lost.\n\n' +
+        'Send /discardnames confirm to go ahead.');
+      return;
+    }
+
+    try {
+      const result = await identity.discardUnreadableNames();
+      await bot.sendMessage(msg.chat.id,
+        `🗑 Removed ${result.names} unreadable names from ${result.profiles} profiles.\n\n` +
+        `🔑 ${identity.getKeyStatus().message}. Restart the dashboard so it picks up the key too.`);
+    } catch (error) {
+      console.error('Error discarding unreadable names:', error);
+      await bot.sendMessage(msg.chat.id, `❌ Error discarding names: ${error.message}`);
+    }
+  });
+}
+
+module.exports = { registerGeneralHandlers };
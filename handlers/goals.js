@@ -0,0 +1,185 @@
+// /goals: set daily goals by hand, or from a short questionnaire that Claude turns into goals.
+const { getUserId } = require('../users');
+const { GOALS_TOOL } = require('../schemas');
+const { claudeErrorMessage } = require('./common');
+
+// Manual goals must be within the same ranges as Claude's (see schemas.js)
+const GOAL_RANGES = GOALS_TOOL.input_schema.properties;
+const GOAL_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'hydration'];
+
+// Read the six comma-separated goal values, e.g. "2000, 150, 250, 70, 25, 2000". Every value
+// must be a whole number in its range; anything else rejects the whole answer.
+function parseManualGoals(text) {
+  const parts = text.split(',').map(part => part.trim());
+  if (parts.length !== GOAL_NUTRIENTS.length || !parts.every(part => /^\d+$/.test(part))) return null;
+
+  const goals = {};
+  for (const [index, nutrient] of GOAL_NUTRIENTS.entries()) {
+    const value = parseInt(parts[index], 10);
+    const { minimum, maximum } = GOAL_RANGES[nutrient];
+    if (value < minimum || value > maximum) return null;
+    goals[nutrient] = value;
+  }
+  return goals;
+}
+
+function registerGoalsHandlers(ctx) {
+  const { bot, claude, conversations, isAuthorized } = ctx;
+  const { saveGoals } = ctx.users;
+
+  // Set nutrition goals - Enhanced with manual vs AI-guided choice
+  bot.onText(/\/goals/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = getUserId(msg);
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    await conversations.start(chatId, userId, 'goals');
+  });
+
+  // Goal setup: pick manual entry or the AI-guided questionnaire (saved to the user's own profile)
+  conversations.define('goals', {
+    firstStep: 'choice',
+    timeoutMinutes: 10,
+    cancelMessage: 'Goal setting cancelled.',
+    timeoutMessage: '⌛ Goal setup timed out. Send /goals to start again.',
+    steps: {
+      choice: {
+        prompt: '🎯 *Set Nutrition Goals*\n\n' +
+          'Choose how you\'d like to set your daily nutrition goals:\n\n' +
+          '1️⃣ *Manual Entry*\n' +
+          'Enter your own target values for all 6 nutrients\n\n' +
+          '2️⃣ *AI-Guided*\n' +
+          'Answer a few questions and let Claude AI calculate personalized recommendations\n\n' +
+          'Tap a button, or reply with `manual` or `ai`.\n' +
+          'Send `/cancel` to cancel.',
+        buttons: [[{ text: '🔢 Manual', value: 'manual' }, { text: '🤖 AI-Guided', value: 'ai' }]],
+        parse: (text) => ['manual', 'ai'].includes(text.toLowerCase()) ? text.toLowerCase() : null,
+        invalid: '❌ Invalid choice. Please reply with `manual` or `ai`, or `/cancel` to cancel.',
+        next: (choice) => choice === 'manual' ? 'manual' : 'age'
+      },
+      manual: {
+        prompt: '🔢 *Manual Goal Entry*\n\n' +
+          'Please enter your daily nutrition goals in this format (comma separated):\n' +
+          '`calories, protein, carbs, fat, fiber, hydration`\n\n' +
+          'Example: `2000, 150, 250, 70, 25, 2000`\n\n' +
+          'Or type `/cancel` to cancel.',
+        parse: parseManualGoals,
+        invalid: '❌ Invalid format. Please enter exactly 6 whole numbers separated by commas:\n' +
+          '`calories, protein, carbs, fat, fiber, hydration`\n\n' +
+          'Allowed ranges: ' + GOAL_NUTRIENTS.map(nutrient => `${nutrient} ${GOAL_RANGES[nutrient].minimum}-${GOAL_RANGES[nutrient].maximum}`).join(', ') + '\n\n' +
+          'Example: `2000, 150, 250, 70, 25, 2000`',
+        next: null
+      },
+      age: {
+        prompt: '🤖 *AI-Guided Nutrition Goals*\n\nLet\'s collect some information to calculate personalized recommendations.\n\n❓ What is your age? (in years)',
+        parse: (text) => {
+          const age = parseInt(text);
+          return isNaN(age) || age < 13 || age > 120 ? null : age;
+        },
+        invalid: '❌ Please enter a valid age between 13 and 120.',
+        next: 'height'
+      },
+      height: {
+        prompt: '📏 What is your height?\n\nPlease specify in centimeters (cm) or feet and inches.\nExample: `175` or `5\'10"`',
+        next: 'weight'
+      },
+      weight: {
+        prompt: '⚖️ What is your current weight?\n\nPlease specify in kilograms (kg) or pounds (lbs).\nExample: `70` or `154 lbs`',
+        next: 'ethnicity'
+      },
+      ethnicity: {
+        prompt: '🌍 What is your ethnicity?\n\nThis helps provide culturally appropriate recommendations.\nExample: `Asian`, `Caucasian`, `African`, `Hispanic`, etc.',
+        next: 'goal'
+      },
+      goal: {
+        prompt: '🎯 What are your weight goals?\n\nPlease choose one:\n`lose` - Lose weight\n`maintain` - Maintain current weight\n`gain` - Gain weight',
+        buttons: [[
+          { text: '📉 Lose', value: 'lose' },
+          { text: '⚖️ Maintain', value: 'maintain' },
+          { text: '📈 Gain', value: 'gain' }
+        ]],
+        parse: (text) => ['lose', 'maintain', 'gain'].includes(text.toLowerCase()) ? text.toLowerCase() : null,
+        invalid: '❌ Please choose `lose`, `maintain`, or `gain`.',
+        next: 'activity'
+      },
+      activity: {
+        prompt: '🏃 What is your activity level?\n\nPlease choose one:\n`sedentary` - Little to no exercise\n`light` - Light exercise 1-3 days/week\n`moderate` - Moderate exercise 3-5 days/week\n`active` - Hard exercise 6-7 days/week\n`very active` - Very hard exercise, physical job',
+        buttons: [
+          [{ text: '🛋 Sedentary', value: 'sedentary' }, { text: '🚶 Light', value: 'light' }],
+          [{ text: '🏃 Moderate', value: 'moderate' }, { text: '🏋️ Active', value: 'active' }],
+          [{ text: '🔥 Very active', value: 'very active' }]
+        ],
+        parse: (text) => {
+          const activity = text.toLowerCase().replace(/\s+/g, ' ');
+          return ['sedentary', 'light', 'moderate', 'active', 'very active'].includes(activity) ? activity : null;
+        },
+        invalid: '❌ Please choose from the listed activity levels.',
+        next: null
+      }
+    },
+    complete: async ({ chatId, userId }, data) => {
+      if (data.choice === 'ai') {
+        await processAIGoals(chatId, userId, data);
+        return;
+      }
+
+      const goals = data.manual;
+      await saveGoals(userId, goals);
+
+      await bot.sendMessage(
+        chatId,
+        `✅ Nutrition goals updated!\n\n` +
+        `🎯 Daily Goals:\n` +
+        `- Calories: ${goals.calories} kcal\n` +
+        `- Protein: ${goals.protein}g\n` +
+        `- Carbs: ${goals.carbs}g\n` +
+        `- Fat: ${goals.fat}g\n` +
+        `- Fiber: ${goals.fiber}g\n` +
+        `- Hydration: ${goals.hydration}ml`
+      );
+    }
+  });
+
+  // Ask Claude for goals from the questionnaire answers and save them
+  async function processAIGoals(chatId, userId, userData) {
+    await bot.sendMessage(chatId, '🧠 Calculating personalized nutrition goals with Claude AI...');
+
+    try {
+      const goals = await claude.calculateGoals(userData, { userId });
+
+      await saveGoals(userId, goals);
+
+      await bot.sendMessage(
+        chatId,
+        `✅ AI-calculated nutrition goals updated!
+
+` +
+        `🎯 Personalized Daily Goals:
+` +
+        `- Calories: ${goals.calories} kcal
+` +
+        `- Protein: ${goals.protein}g
+` +
+        `- Carbs: ${goals.carbs}g
+` +
+        `- Fat: ${goals.fat}g
+` +
+        `- Fiber: ${goals.fiber}g
+` +
+        `- Hydration: ${goals.hydration}ml
+
+` +
+        `_Calculated based on your profile and goals_`
+      );
+    } catch (error) {
+      console.error('Error calculating AI goals:', error);
+      await bot.sendMessage(
+        chatId,
+        claudeErrorMessage(error, '❌ Sorry, there was an error processing the AI recommendations. Please try the manual entry option instead.')
+      );
+    }
+  }
+}
+
+module.exports = { registerGoalsHandlers };
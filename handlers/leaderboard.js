@@ -0,0 +1,75 @@
+// /leaderboard (or /top), and the twice-daily refresh of its cache.
+const { formatScoreDetails } = require('../scoring');
+
+function registerLeaderboardHandlers(ctx) {
+  const { bot, cron, isAuthorized } = ctx;
+  const { getLeaderboardData, loadLeaderboardCache, saveLeaderboardCache } = ctx.leaderboard;
+
+  // Leaderboard command
+  bot.onText(/\/leaderboard|\/top/i, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      await bot.sendMessage(chatId, '📊 Calculating leaderboard...');
+
+      // Try to get cached leaderboard first
+      let leaderboard = await loadLeaderboardCache();
+
+      if (!leaderboard) {
+        // Generate fresh leaderboard
+        leaderboard = await getLeaderboardData();
+
+        // Save to cache
+        await saveLeaderboardCache(leaderboard);
+      }
+
+      if (leaderboard.length === 0) {
+        await bot.sendMessage(chatId, '📭 No users have recorded nutrition data today.');
+        return;
+      }
+
+      // Format leaderboard
+      let leaderboardText = `🏆 *Nutrition Leaderboard*
+
+`;
+
+      for (let i = 0; i < Math.min(10, leaderboard.length); i++) {
+        const user = leaderboard[i];
+        const position = i + 1;
+        const medal = position === 1 ? '🥇' : position === 2 ? '🥈' : position === 3 ? '🥉' : '  ';
+
+        leaderboardText += `${medal} ${position}. ${user.displayName}: ${user.score}
+`;
+
+        // Add breakdown for top 3
+        if (position <= 3) {
+          leaderboardText += `   └─ ${formatScoreDetails(user.percentages)}
+`;
+        }
+      }
+
+      // Add info about scoring
+      leaderboardText += '\n💡 *Scoring:* 1000 = perfect (all goals at 100%), lower scores = more deviation from goals';
+
+      await bot.sendMessage(chatId, leaderboardText, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.error('Error generating leaderboard:', error);
+      await bot.sendMessage(chatId, '❌ Error generating leaderboard. Please try again later.');
+    }
+  });
+
+  // Periodically update leaderboard (twice daily at 12 AM and 12 PM)
+  cron.schedule('0 0,12 * * *', async () => {
+    try {
+      const leaderboard = await getLeaderboardData();
+      await saveLeaderboardCache(leaderboard);
+      console.log('Leaderboard cache updated at', new Date().toISOString());
+    } catch (error) {
+      console.error('Error updating leaderboard cache:', error);
+    }
+  });
+}
+
+module.exports = { registerLeaderboardHandlers };
@@ -0,0 +1,153 @@
+// Per-user settings: /timezone and /remind, and the reminder sender that runs every minute.
+const { getUserId } = require('../users');
+const { resolveTimezone, getLocalParts, getLocalDate, parseTimezoneInput } = require('../time');
+const { getReminders, hasActiveReminders, formatReminders, REMIND_USAGE, applyRemindCommand, getDueReminders } = require('../reminders');
+
+function registerSettingsHandlers(ctx) {
+  const { bot, storage, cron, isAuthorized } = ctx;
+  const { loadGoals, getUserSettings, saveUserSettings, getUserTimezone, getAllUsers, getDisplayName } = ctx.users;
+
+  // Send one user's due reminders to the chat they set them up in
+  async function sendUserReminders(userId, settings, users) {
+    const reminders = getReminders(settings);
+    if (!hasActiveReminders(reminders)) return;
+
+    const timezone = resolveTimezone(settings.timezone);
+    const entries = await storage.getEntries(userId, getLocalDate(timezone));
+    const due = getDueReminders(reminders, { timezone, entries, goals: await loadGoals(userId) });
+    if (due.length === 0) return;
+
+    const chatId = reminders.chatId || userId;
+    // In shared chats, say who the reminder is for
+    const prefix = chatId.toString() !== userId.toString() ? `👤 ${getDisplayName(userId, users)}\n` : '';
+
+    for (const reminder of due.filter(reminder => reminder.text)) {
+      try {
+        await bot.sendMessage(chatId, prefix + reminder.text);
+      } catch (error) {
+        // Still marked as sent below, so a chat that blocks the bot isn't retried every minute
+        console.error(`Failed to send ${reminder.key} reminder for user ${userId} to chat ${chatId}:`, error.message);
+      }
+    }
+
+    // Re-read the settings so a /remind change made meanwhile isn't overwritten
+    const latest = getReminders(await getUserSettings(userId));
+    const lastSent = { ...latest.lastSent };
+    due.forEach(reminder => { lastSent[reminder.key] = reminder.value; });
+    await saveUserSettings(userId, { reminders: { ...latest, lastSent } });
+  }
+
+  // Send reminders and nudges. Runs every minute so meal reminders arrive on time.
+  cron.schedule('* * * * *', async () => {
+    let allSettings;
+    try {
+      allSettings = await storage.getAllUserSettings();
+    } catch (error) {
+      console.error('Error loading users for reminders:', error);
+      return;
+    }
+
+    const userIds = Object.keys(allSettings).filter(userId => hasActiveReminders(getReminders(allSettings[userId])));
+    if (userIds.length === 0) return;
+
+    const users = await getAllUsers();
+    for (const userId of userIds) {
+      try {
+        await sendUserReminders(userId, allSettings[userId], users);
+      } catch (error) {
+        console.error(`Failed to send reminders for user ${userId}:`, error);
+      }
+    }
+  });
+
+  // View or set the user's time zone (used for day boundaries and the daily summary)
+  bot.onText(/\/timezone(?:@\w+)?\s*(.*)/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    const userId = getUserId(msg);
+    const input = match[1].trim();
+
+    try {
+      if (!input) {
+        const settings = await getUserSettings(userId);
+        const timezone = await getUserTimezone(userId);
+        const local = getLocalParts(timezone);
+        const source = !settings.timezone ? 'default' : settings.timezoneSource === 'guessed' ? 'guessed from your Telegram language' : 'set by you';
+
+        await bot.sendMessage(
+          chatId,
+          `🕒 *Your Time Zone*\n\n` +
+          `Time zone: \`${timezone}\` (${source})\n` +
+          `Local time: ${local.date} ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}\n\n` +
+          'To change it, send one of:\n' +
+          '`/timezone Asia/Singapore` - a time zone name\n' +
+          '`/timezone UTC+8` - a UTC offset\n' +
+          '`/timezone 14:30` - your current local time and I\'ll work it out',
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      const timezone = parseTimezoneInput(input);
+
+      if (!timezone) {
+        await bot.sendMessage(
+          chatId,
+          '❌ I couldn\'t recognise that time zone. Try a name like `Asia/Singapore`, an offset like `UTC+8`, or your current local time like `14:30`.',
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      await saveUserSettings(userId, { timezone, timezoneSource: 'user' });
+      const local = getLocalParts(timezone);
+
+      await bot.sendMessage(
+        chatId,
+        `✅ Time zone set to ${timezone}.\n\n` +
+        `Your local time is ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')} on ${local.date}. ` +
+        'Your day now starts at local midnight and your daily summary arrives at 23:45.'
+      );
+    } catch (error) {
+      console.error('Error in timezone command:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, there was an error updating your time zone. Please try again later.');
+    }
+  });
+
+  // Set up meal, hydration and "haven't logged" reminders
+  bot.onText(/^\/remind(?:@\w+)?(?:\s+([\s\S]*))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    const userId = getUserId(msg);
+    const input = (match[1] || '').trim();
+
+    try {
+      const reminders = getReminders(await getUserSettings(userId));
+
+      if (!input) {
+        const timezone = await getUserTimezone(userId);
+        await bot.sendMessage(chatId, formatReminders(reminders, timezone) + '\n\n' + REMIND_USAGE, { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const result = applyRemindCommand(reminders, input);
+      if (!result) {
+        await bot.sendMessage(chatId, '❌ I didn\'t understand that.\n\n' + REMIND_USAGE, { parse_mode: 'Markdown' });
+        return;
+      }
+
+      // Reminders are sent to the chat they were last set up in
+      await saveUserSettings(userId, { reminders: { ...result.reminders, chatId } });
+      await bot.sendMessage(chatId, result.message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.error('Error in remind command:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, there was an error updating your reminders. Please try again later.');
+    }
+  });
+}
+
+module.exports = { registerSettingsHandlers };
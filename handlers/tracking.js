@@ -0,0 +1,402 @@
+// Looking back at the log: /summary, /history, /week, /month, /report, /progress and
+// /erase, plus the scheduled daily summary and Monday weekly report.
+const { getUserId } = require('../users');
+const { getLocalParts, shiftDate, parseDateInput, getWeekday } = require('../time');
+const { REPORT_PERIODS, WEEKLY_REPORT_HOUR } = require('../tracking');
+const { canUseButtons } = require('./common');
+
+function registerTrackingHandlers(ctx) {
+  const { bot, storage, cron, isAuthorized } = ctx;
+  const { saveSenderInfo, loadGoals, getUserToday, getUserTimezone, getUserSettings, saveUserSettings, getAllUsers, getDisplayName } = ctx.users;
+  const { getTodayTotals, getDailySummary, getRangeSummary, buildReport } = ctx.tracking;
+  const { recordChange, undoKeyboard } = ctx.undo;
+
+  // Remove a food entry by its position in today's list.
+  // Returns the removed entry and the ID of its undo record, or false for a bad index.
+  async function removeFoodEntryByIndex(userId, index) {
+    const today = await getUserToday(userId); // YYYY-MM-DD
+    const entries = await storage.getEntries(userId, today);
+
+    // Check if index is valid
+    if (index < 0 || index >= entries.length) {
+      return false;
+    }
+
+    const removedEntry = await storage.removeEntry(userId, today, entries[index].id);
+    if (!removedEntry) {
+      return false;
+    }
+
+    const changeId = await recordChange(userId, { type: 'remove', ownerId: userId, date: today, entry: removedEntry });
+    return { removedEntry, changeId };
+  }
+
+  // Send a report's text followed by its chart
+  async function sendReport(chatId, report, heading = '') {
+    await bot.sendMessage(chatId, heading + report.text, { parse_mode: 'Markdown' });
+    await bot.sendPhoto(
+      chatId,
+      report.chart,
+      { caption: '📈 Calories per day against your goal (red bars are more than 10% over), and calories from protein, carbs and fat' },
+      { filename: 'report.png', contentType: 'image/png' }
+    );
+  }
+
+  // Schedule daily summaries at 23:45 in each user's own time zone.
+  // Runs every 15 minutes so every zone with a 15-minute-aligned offset gets exactly one tick in 23:45-23:59.
+  cron.schedule('*/15 * * * *', async () => {
+    // Everyone who has ever logged food
+    let userIds;
+    try {
+      userIds = await storage.getEntryUserIds();
+    } catch (error) {
+      console.error('Error loading users for daily summaries:', error);
+      return;
+    }
+
+    // Send each user's summary to the chat their latest entry came from
+    // One user's failure (a storage error, a blocked chat) never stops the others' summaries
+    for (const userId of userIds) {
+      let chatId = userId;
+      try {
+        const local = getLocalParts(await getUserTimezone(userId));
+        if (local.hour !== 23 || local.minute < 45) continue;
+
+        const entries = await storage.getEntries(userId, local.date);
+        if (entries.length === 0) continue;
+
+        chatId = entries[entries.length - 1].chatId || userId;
+
+        let summary = await getDailySummary(userId, local.date);
+        if (summary) {
+          // In shared chats, say whose summary this is
+          if (chatId.toString() !== userId.toString()) {
+            const users = await getAllUsers();
+            summary = `👤 ${getDisplayName(userId, users)}\n` + summary;
+          }
+          await bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+        }
+      } catch (error) {
+        console.error(`Failed to send daily summary for user ${userId} to chat ${chatId}:`, error);
+      }
+    }
+  });
+
+  // Send last week's report on Monday morning in each user's own time zone.
+  // Same 15-minute ticks as the daily summary, so each user gets exactly one tick in the window.
+  cron.schedule('*/15 * * * *', async () => {
+    let userIds;
+    try {
+      userIds = await storage.getEntryUserIds();
+    } catch (error) {
+      console.error('Error loading users for weekly reports:', error);
+      return;
+    }
+
+    // As with the daily summaries, one user's failure never stops the others' reports
+    for (const userId of userIds) {
+      try {
+        const local = getLocalParts(await getUserTimezone(userId));
+        if (getWeekday(local.date) !== 1 || local.hour !== WEEKLY_REPORT_HOUR || local.minute >= 15) continue;
+
+        const settings = await getUserSettings(userId);
+        if (settings.weeklyReport === false) continue;
+
+        const report = await buildReport(userId, 'week', shiftDate(local.date, -1));
+        if (!report) continue;
+
+        // In shared chats, say whose report this is
+        let heading = '';
+        if (report.chatId.toString() !== userId.toString()) {
+          const users = await getAllUsers();
+          heading = `👤 ${getDisplayName(userId, users)}\n`;
+        }
+        await sendReport(report.chatId, report, heading);
+      } catch (error) {
+        console.error(`Failed to send weekly report for user ${userId}:`, error);
+      }
+    }
+  });
+
+  // Get daily summary
+  bot.onText(/\/summary/, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      const summary = await getDailySummary(getUserId(msg));
+
+      if (summary) {
+        await bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+      } else {
+        await bot.sendMessage(chatId, '📭 No food entries recorded today.');
+      }
+    } catch (error) {
+      console.error('Error building daily summary:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t load today\'s summary. Please try again later.');
+    }
+  });
+
+  // Show the log for a past day
+  bot.onText(/\/history(?:@\w+)?\s*(.*)/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      const userId = getUserId(msg);
+      const date = parseDateInput(match[1], await getUserToday(userId));
+
+      if (!date) {
+        await bot.sendMessage(
+          chatId,
+          '📅 Please specify a date, e.g. `/history 2026-01-31` or `/history yesterday`.',
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      const summary = await getDailySummary(userId, date);
+
+      if (summary) {
+        await bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+      } else {
+        await bot.sendMessage(chatId, `📭 No food entries recorded on ${date}.`);
+      }
+    } catch (error) {
+      console.error('Error building history:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t load that day. Please try again later.');
+    }
+  });
+
+  // Weekly and monthly overviews
+  bot.onText(/\/(week|month)\b/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      const isWeek = match[1].toLowerCase() === 'week';
+      const summary = await getRangeSummary(
+        getUserId(msg),
+        isWeek ? 7 : 30,
+        isWeek ? 'Weekly Nutrition Overview' : 'Monthly Nutrition Overview'
+      );
+
+      if (summary) {
+        await bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+      } else {
+        await bot.sendMessage(chatId, `📭 No food entries recorded in the last ${isWeek ? '7' : '30'} days.`);
+      }
+    } catch (error) {
+      console.error('Error building overview:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t build your overview. Please try again later.');
+    }
+  });
+
+  // Weekly or monthly report with a chart; /report off|on controls the automatic Monday report
+  bot.onText(/^\/report(?:@\w+)?(?:\s+(\S+))?\s*$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    const userId = getUserId(msg);
+    const option = (match[1] || 'week').toLowerCase();
+
+    if (option === 'off' || option === 'on') {
+      await saveUserSettings(userId, { weeklyReport: option === 'on' });
+      await bot.sendMessage(chatId, option === 'on'
+        ? '✅ You\'ll get a weekly report every Monday morning.'
+        : '🔕 Weekly reports turned off. /report week still works any time.');
+      return;
+    }
+
+    if (!REPORT_PERIODS[option]) {
+      await bot.sendMessage(chatId, 'Usage: /report week, /report month, or /report off to stop the Monday report');
+      return;
+    }
+
+    try {
+      const report = await buildReport(userId, option, await getUserToday(userId));
+      if (!report) {
+        await bot.sendMessage(chatId, `📭 No food entries recorded in the last ${REPORT_PERIODS[option].days} days.`);
+        return;
+      }
+      await sendReport(chatId, report);
+    } catch (error) {
+      console.error('Error building report:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t build your report. Please try again later.');
+    }
+  });
+
+  // Check progress toward goals
+  bot.onText(/\/progress/, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      const userId = getUserId(msg);
+      const totals = await getTodayTotals(userId);
+      const goals = await loadGoals(userId);
+
+      const calorieProgress = Math.round((totals.calories / goals.calories) * 100);
+      const proteinProgress = Math.round((totals.protein / goals.protein) * 100);
+      const carbProgress = Math.round((totals.carbs / goals.carbs) * 100);
+      const fatProgress = Math.round((totals.fat / goals.fat) * 100);
+      const fiberProgress = Math.round((totals.fiber / goals.fiber) * 100);
+      const hydrationProgress = Math.round((totals.hydration / goals.hydration) * 100);
+
+      let response = '📈 *Nutrition Progress*\n\n' +
+        `- Calories: ${totals.calories}/${goals.calories} kcal (${calorieProgress}%)\n` +
+        `- Protein: ${totals.protein}/${goals.protein}g (${proteinProgress}%)\n` +
+        `- Carbs: ${totals.carbs}/${goals.carbs}g (${carbProgress}%)\n` +
+        `- Fat: ${totals.fat}/${goals.fat}g (${fatProgress}%)\n` +
+        `- Fiber: ${totals.fiber}/${goals.fiber}g (${fiberProgress}%)\n` +
+        `- Hydration: ${totals.hydration}/${goals.hydration}ml (${hydrationProgress}%)\n\n`;
+
+      // Add motivational messages
+      if (calorieProgress >= 100) {
+        response += '🎉 You\'ve reached your calorie goal!';
+      } else if (calorieProgress >= 90) {
+        response += '🏃 Almost there! You\'re close to your calorie goal.';
+      } else if (calorieProgress >= 50) {
+        response += '👍 Good progress on your calories!';
+      } else {
+        response += '🚀 Keep going!';
+      }
+
+      await bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.error('Error building progress:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t load your progress. Please try again later.');
+    }
+  });
+
+  // How long the buttons on an /erase list keep working
+  const ERASE_LIST_TTL_SECONDS = 24 * 60 * 60;
+
+  // The /erase list: one entry per line and a button per entry that removes it
+  async function buildEraseList(userId, date) {
+    const entries = await storage.getEntries(userId, date);
+    if (entries.length === 0) {
+      return { text: `📭 No food entries recorded for ${date}.`, options: {}, count: 0 };
+    }
+
+    let text = `📝 *Food Entries* (${date})\n\n`;
+    entries.forEach((entry, index) => {
+      text += `${index + 1}. ${entry.food_name} - ${entry.calories} kcal\n`;
+    });
+    text += '\nTap an entry to remove it, or send `/erase [number]`.\nYou can also reply to any food analysis with `remove`, `delete` or `erase`.';
+
+    const buttons = entries.map((entry, index) => [{
+      text: `🗑 ${index + 1}. ${entry.food_name.slice(0, 40)} (${entry.calories} kcal)`,
+      callback_data: `erase:${entry.id}`
+    }]);
+
+    return {
+      text,
+      options: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } },
+      count: entries.length
+    };
+  }
+
+  // Erase food entries command
+  bot.onText(/\/erase(?:@\w+)?\s*(.*)/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = getUserId(msg);
+
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      // Save user info
+      await saveSenderInfo(msg);
+
+      const today = await getUserToday(userId); // YYYY-MM-DD
+
+      // If no argument provided, show the list of today's entries with a remove button for each
+      if (!match[1] || match[1].trim() === '') {
+        const { text, options, count } = await buildEraseList(userId, today);
+        const sentMessage = await bot.sendMessage(chatId, text, options);
+
+        // Remember whose list this is so the buttons remove the right entries
+        if (count > 0) {
+          await storage.setCache(`erase:${chatId}:${sentMessage.message_id}`, { userId, date: today }, ERASE_LIST_TTL_SECONDS);
+        }
+        return;
+      }
+
+      // Parse the index from the command
+      const input = match[1].trim().toLowerCase();
+      const indexMatch = input.match(/^\d+$/);
+
+      if (indexMatch) {
+        const index = parseInt(indexMatch[0], 10) - 1; // Convert to 0-based index
+
+        const removal = await removeFoodEntryByIndex(userId, index);
+
+        if (removal) {
+          const { removedEntry, changeId } = removal;
+
+          // Get updated totals
+          const totals = await getTodayTotals(userId);
+          const goals = await loadGoals(userId);
+
+          let response = `✅ Removed: ${removedEntry.food_name}\n\n`;
+          response += `📊 *Updated Nutrition Totals:*\n`;
+          response += `- Calories: ${totals.calories}/${goals.calories} kcal\n`;
+          response += `- Protein: ${totals.protein}/${goals.protein}g\n`;
+          response += `- Carbs: ${totals.carbs}/${goals.carbs}g\n`;
+          response += `- Fat: ${totals.fat}/${goals.fat}g\n`;
+          response += `- Fiber: ${totals.fiber}/${goals.fiber}g\n`;
+          response += `- Hydration: ${totals.hydration}/${goals.hydration}ml`;
+
+          await bot.sendMessage(chatId, response, { parse_mode: 'Markdown', reply_markup: undoKeyboard(changeId) });
+        } else {
+          await bot.sendMessage(chatId, '❌ Invalid entry number. Please use `/erase` to see the current list.', { parse_mode: 'Markdown' });
+        }
+      } else {
+        await bot.sendMessage(chatId, '❌ Please specify a valid entry number. Use `/erase` to see the current list.', { parse_mode: 'Markdown' });
+      }
+    } catch (error) {
+      console.error('Error in erase command:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, there was an error processing your request. Please try again later.');
+    }
+  });
+
+  // Tapping an entry in the /erase list removes it and refreshes the list
+  async function handleEraseButton(query, entryId) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const list = await storage.getCache(`erase:${chatId}:${messageId}`);
+
+    if (!list) {
+      await bot.answerCallbackQuery(query.id, { text: 'This list has expired. Send /erase for a fresh one.' });
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+      return;
+    }
+
+    if (!canUseButtons(list.userId, query.from.id)) {
+      await bot.answerCallbackQuery(query.id, { text: 'Only the person who sent /erase can use this list.', show_alert: true });
+      return;
+    }
+
+    const removedEntry = await storage.removeEntry(list.userId, list.date, entryId);
+    if (removedEntry) {
+      await recordChange(query.from.id, { type: 'remove', ownerId: list.userId, date: list.date, entry: removedEntry });
+    }
+    await bot.answerCallbackQuery(query.id, {
+      text: removedEntry ? `🗑 Removed ${removedEntry.food_name}. Send /undo to bring it back.` : 'That entry was already removed.'
+    });
+
+    // Telegram refuses the edit if the list didn't change (e.g. the entry was removed elsewhere and already gone from it)
+    const { text, options } = await buildEraseList(list.userId, list.date);
+    await bot.editMessageText(text, { ...options, chat_id: chatId, message_id: messageId }).catch(() => {});
+  }
+
+  return { handleEraseButton };
+}
+
+module.exports = { registerTrackingHandlers };
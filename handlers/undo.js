@@ -0,0 +1,107 @@
+// /undo and the ↩️ Undo button. Removals and corrections record the entry as it was
+// with undo.recordChange(); /undo puts back the user's latest change.
+const crypto = require('crypto');
+const { getUserId } = require('../users');
+const { ANALYSIS_KEYBOARD, formatNutritionResponse } = require('./common');
+
+// Each user's last few removals and corrections can be undone, newest first
+const UNDO_HISTORY_LENGTH = 10;
+const UNDO_HISTORY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function undoKeyboard(changeId) {
+  return { inline_keyboard: [[{ text: '↩️ Undo', callback_data: `undo:${changeId}` }]] };
+}
+
+function describeUndo(change) {
+  return change.type === 'remove'
+    ? `↩️ Restored: ${change.entry.food_name}`
+    : `↩️ Undid the correction to ${change.entry.food_name}`;
+}
+
+function createUndo({ bot, storage, users, tracking }) {
+  // Remember an entry as it was before a change so /undo can put it back.
+  // change: { type: 'remove' | 'update', ownerId, date, entry, message? } where message is the
+  // analysis message ({ chatId, messageId, association }) to restore as well. Returns the change ID.
+  async function recordChange(actorId, change) {
+    const id = crypto.randomUUID();
+    await storage.pushChange(actorId, { ...change, id, timestamp: new Date().toISOString() }, UNDO_HISTORY_LENGTH, UNDO_HISTORY_TTL_SECONDS);
+    return id;
+  }
+
+  // Put an entry (and its analysis message) back the way it was before a change
+  async function applyUndo(change) {
+    await storage.addEntry(change.ownerId, change.date, change.entry);
+
+    if (!change.message) return;
+
+    const { chatId, messageId, association } = change.message;
+    const restored = { ...association, nutritionData: change.entry };
+    await storage.saveAssociation(chatId, messageId, restored);
+
+    try {
+      const { totals, totalsDate } = await tracking.getAssociationTotals(restored);
+      const goals = await users.loadGoals(change.ownerId);
+      await bot.editMessageText(formatNutritionResponse(change.entry, totals, goals, 'Restored with undo.', { totalsDate }), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: ANALYSIS_KEYBOARD
+      });
+    } catch (error) {
+      console.error('Error restoring original message:', error);
+    }
+  }
+
+  return { recordChange, undoKeyboard, applyUndo };
+}
+
+function registerUndoHandlers(ctx) {
+  const { bot, storage, isAuthorized } = ctx;
+  const { applyUndo } = ctx.undo;
+
+  // Undo the user's most recent change
+  bot.onText(/^\/undo(?:@\w+)?\s*$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    // Allow both channel and direct messages
+    if (!isAuthorized(msg)) return;
+
+    try {
+      const change = await storage.popChange(getUserId(msg));
+      if (!change) {
+        await bot.sendMessage(chatId, 'ℹ️ Nothing to undo.');
+        return;
+      }
+
+      await applyUndo(change);
+      await bot.sendMessage(chatId, describeUndo(change), { reply_to_message_id: msg.message_id });
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t undo that. Please try again later.');
+    }
+  });
+
+  // ↩️ Undo under a confirmation. Changes are undone newest first, so only the latest one can be.
+  async function handleUndoButton(query, changeId) {
+    const userId = query.from.id;
+    const lastChange = await storage.getLastChange(userId);
+
+    if (!lastChange || lastChange.id !== changeId) {
+      await bot.answerCallbackQuery(query.id, {
+        text: 'This can\'t be undone any more: it was already undone, or there are newer changes. Send /undo to undo your latest change.',
+        show_alert: true
+      });
+      return;
+    }
+
+    const change = await storage.popChange(userId);
+    await applyUndo(change);
+    await bot.answerCallbackQuery(query.id, { text: describeUndo(change) });
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: query.message.chat.id, message_id: query.message.message_id })
+      .catch(() => {});
+    await bot.sendMessage(query.message.chat.id, describeUndo(change), { reply_to_message_id: query.message.message_id });
+  }
+
+  return { handleUndoButton };
+}
+
+module.exports = { createUndo, registerUndoHandlers };
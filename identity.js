@@ -0,0 +1,277 @@
+// Who users are by name: encrypting the name fields of profiles and turning stored
+// profiles back into display names. Shared by the bot and the dashboard, which must
+// use the same ENCRYPTION_KEY to read each other's names.
+//
+//   const identity = createIdentity({ storage, key: process.env.ENCRYPTION_KEY, previousKeys });
+//   await identity.checkKey();                    // once at startup, after storage.connect()
+//   identity.getDisplayName(userId, profiles);    // 'Alice Smith', a post signature or 'User'
+//
+// checkKey() compares a fingerprint of the key with the one saved in storage by the first
+// service that used a key. Unless the key is there, valid and the same (or a previous key
+// during a rotation), names are neither stored nor shown: profiles keep their existing
+// (encrypted) names and display names fall back to post signatures or 'User', never to
+// ciphertext. Services refuse to start in that state unless ENCRYPTION_DEGRADED_MODE=true.
+//
+// To change the key, set ENCRYPTION_KEY to the new key and ENCRYPTION_PREVIOUS_KEYS to the
+// old one on both services, restart, and run /rotatekey: rotateNames() re-encrypts every
+// profile under the new key, after which the previous key can be removed.
+//
+// Deployments from before ENCRYPTION_KEY was required used a random key per process, so no
+// key can read their names. With no fingerprint saved yet, checkKey() treats names nothing
+// can read as lost: it removes them and saves the new key's fingerprint. When the old key is
+// lost later on, /discardnames (discardUnreadableNames()) does the same on purpose.
+const { parseKey, keyFingerprint, createEncryption } = require('./encryption');
+
+const NAME_FIELDS = ['firstName', 'lastName', 'username', 'fullName'];
+
+const KEY_STATUS_MESSAGES = {
+  unchecked: 'Encryption key not checked yet',
+  ok: 'Names encrypted and readable',
+  rotating: 'Names readable, but some are in the old format or under a previous key: run /rotatekey',
+  missing: 'ENCRYPTION_KEY not set: names are not stored or shown',
+  invalid: 'ENCRYPTION_KEY and ENCRYPTION_PREVIOUS_KEYS must each be 64 hex characters (or a 32-character key from before): names are not stored or shown',
+  mismatch: 'ENCRYPTION_KEY differs from the key stored names were encrypted with: names are not stored or shown'
+};
+
+// What to do about each status that stops a service
+const KEY_STATUS_FIXES = {
+  missing: 'Set ENCRYPTION_KEY (e.g. from `openssl rand -hex 32`)',
+  invalid: 'Fix the key',
+  mismatch: 'Use the key the names were stored with (if it\'s lost, run /discardnames in degraded mode)'
+};
+
+// ENCRYPTION_PREVIOUS_KEYS is a comma-separated list
+function parseKeyList(value) {
+  return (value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+function createIdentity({ storage, key, previousKeys = [] }) {
+  const hasValidKeys = Boolean(key) && [key, ...previousKeys].every(configured => parseKey(configured));
+  const encryption = hasValidKeys ? createEncryption(key, previousKeys) : null;
+  let status = !key ? 'missing' : hasValidKeys ? 'unchecked' : 'invalid';
+
+  function isEncrypted(value) {
+    return typeof value === 'string' && value.includes(':');
+  }
+
+  function isUnreadable(value) {
+    return isEncrypted(value) && encryption.decrypt(value) === null;
+  }
+
+  // Remove the names no configured key can read from every profile. Returns { profiles, names }.
+  async function removeUnreadableNames() {
+    const result = { profiles: 0, names: 0 };
+
+    for (const [userId, profile] of Object.entries(await storage.getAllUserProfiles())) {
+      const unreadable = NAME_FIELDS.filter(field => isUnreadable(profile[field]));
+      if (unreadable.length === 0) continue;
+
+      const updated = { ...profile };
+      unreadable.forEach(field => {
+        delete updated[field];
+      });
+      await storage.saveUserProfile(userId, updated);
+      result.profiles++;
+      result.names += unreadable.length;
+    }
+
+    return result;
+  }
+
+  // Compare this key with the one stored names were written with. Deployments from before
+  // fingerprints were saved are checked against their stored names instead. Returns the status.
+  async function checkKey() {
+    if (!hasValidKeys) return status;
+
+    const storedFingerprint = await storage.getKeyFingerprint();
+    const knownFingerprints = [key, ...previousKeys].map(keyFingerprint);
+    let encryptedNames = Object.values(await storage.getAllUserProfiles())
+      .flatMap(profile => NAME_FIELDS.map(field => profile[field]))
+      .filter(isEncrypted);
+
+    if (storedFingerprint && !knownFingerprints.includes(storedFingerprint)) {
+      status = 'mismatch';
+      return status;
+    }
+
+    // Before fingerprints, no key was required: names written under a random per-process key
+    // can never be read again. If none can be read, this is such a deployment (or a wrong key
+    // on one that never saved a fingerprint): drop them so names can be stored from now on.
+    if (!storedFingerprint && encryptedNames.length > 0 && encryptedNames.every(isUnreadable)) {
+      const { profiles, names } = await removeUnreadableNames();
+      console.warn(`⚠️ No configured key can read the ${names} stored names (in ${profiles} profiles), ` +
+        'probably written under the random key used before ENCRYPTION_KEY was required. They were removed; ' +
+        'names are stored again from each user\'s next message.');
+      encryptedNames = [];
+    }
+
+    // Names in the old format or under a previous key wait for /rotatekey, which saves the new
+    // fingerprint. Names no key can read are left alone: they're replaced when the user writes again.
+    if (encryptedNames.some(value => encryption.needsReencryption(value) && encryption.decrypt(value) !== null)) {
+      status = 'rotating';
+      return status;
+    }
+
+    if (storedFingerprint !== encryption.keyId) {
+      await storage.setKeyFingerprint(encryption.keyId);
+    }
+    status = 'ok';
+    return status;
+  }
+
+  function getKeyStatus() {
+    return { status, message: KEY_STATUS_MESSAGES[status] };
+  }
+
+  function canStoreNames() {
+    return status === 'ok' || status === 'rotating';
+  }
+
+  // A stored name field as plain text, or null if it can't be read with this key.
+  // Names saved before encryption was added are plain text without a colon.
+  function readName(value) {
+    if (!value) return null;
+    if (!isEncrypted(value)) return value;
+    if (!canStoreNames()) return null;
+    return encryption.decrypt(value);
+  }
+
+  // The name fields of a stored profile as plain text (null where unreadable)
+  function readProfile(profile) {
+    const names = {};
+    NAME_FIELDS.forEach(field => {
+      names[field] = readName(profile[field]);
+    });
+    return names;
+  }
+
+  // Name fields to store for a user, encrypted. Only call when canStoreNames().
+  function encryptNames(userInfo) {
+    const encrypted = {};
+    NAME_FIELDS.forEach(field => {
+      encrypted[field] = userInfo[field] ? encryption.encrypt(userInfo[field]) : undefined;
+    });
+    return encrypted;
+  }
+
+  // Re-encrypt every stored name under the current key (names in the old format, under a
+  // previous key, or saved as plain text), then save the current key's fingerprint.
+  // Names no configured key can read are counted and kept as they are.
+  // Returns { profiles, names, unreadable }.
+  async function rotateNames() {
+    if (!canStoreNames()) {
+      throw new Error(KEY_STATUS_MESSAGES[status]);
+    }
+
+    const result = { profiles: 0, names: 0, unreadable: 0 };
+
+    for (const [userId, profile] of Object.entries(await storage.getAllUserProfiles())) {
+      const updated = { ...profile };
+      let changed = false;
+
+      NAME_FIELDS.forEach(field => {
+        const value = profile[field];
+        if (!value || (isEncrypted(value) && !encryption.needsReencryption(value))) return;
+
+        const name = readName(value);
+        if (name === null) {
+          result.unreadable++;
+          return;
+        }
+
+        updated[field] = encryption.encrypt(name);
+        result.names++;
+        changed = true;
+      });
+
+      if (changed) {
+        await storage.saveUserProfile(userId, updated);
+        result.profiles++;
+      }
+    }
+
+    await storage.setKeyFingerprint(encryption.keyId);
+    status = 'ok';
+
+    return result;
+  }
+
+  // Remove the names no configured key can read and save this key's fingerprint, for when the
+  // key they were written with is lost (/discardnames). Works while the key mismatches, which
+  // it ends. Returns { profiles, names, status }.
+  async function discardUnreadableNames() {
+    if (!hasValidKeys) {
+      throw new Error(KEY_STATUS_MESSAGES[status]);
+    }
+
+    const result = await removeUnreadableNames();
+    await storage.setKeyFingerprint(encryption.keyId);
+    return { ...result, status: await checkKey() };
+  }
+
+  // Resolve a display name for a user ID (signed channel posts use the signature)
+  function getDisplayName(userId, profiles) {
+    const profile = profiles[userId];
+
+    if (profile) {
+      const { fullName, firstName, lastName, username } = readProfile(profile);
+      const name = fullName || (firstName && lastName ? `${firstName} ${lastName}` : firstName) || username;
+      if (name) return name;
+    }
+
+    const signature = userId.toString().split(':')[1];
+    return signature || 'User';
+  }
+
+  return {
+    checkKey,
+    getKeyStatus,
+    canStoreNames,
+    readProfile,
+    encryptNames,
+    rotateNames,
+    discardUnreadableNames,
+    getDisplayName
+  };
+}
+
+// Log why names can't be used, and whether the service carries on without them
+function reportUnusableKey({ status, message }, degradedMode) {
+  if (degradedMode) {
+    console.warn(`⚠️ ${message} (running in degraded mode, ENCRYPTION_DEGRADED_MODE=true)`);
+    return true;
+  }
+
+  console.error(`❌ ${message}. ${KEY_STATUS_FIXES[status]}, or set ENCRYPTION_DEGRADED_MODE=true to run without names.`);
+  return false;
+}
+
+// The part of the startup check that needs no storage: whether a usable key is configured.
+// Run it before the service starts serving. Returns false when the service should stop.
+function checkKeyConfigured(identity, { degradedMode = false } = {}) {
+  const keyStatus = identity.getKeyStatus();
+  if (keyStatus.status !== 'missing' && keyStatus.status !== 'invalid') return true;
+  return reportUnusableKey(keyStatus, degradedMode);
+}
+
+// Check the key when a service starts and log the result. Returns false when the service
+// should stop: names can't be stored or read and degraded mode wasn't asked for.
+async function checkKeyAtStartup(identity, { degradedMode = false } = {}) {
+  await identity.checkKey();
+  const keyStatus = identity.getKeyStatus();
+  const { status, message } = keyStatus;
+
+  if (status === 'ok') {
+    console.log(`✅ ${message}`);
+    return true;
+  }
+
+  if (status === 'rotating') {
+    console.warn(`⚠️ ${message}`);
+    return true;
+  }
+
+  return reportUnusableKey(keyStatus, degradedMode);
+}
+
+module.exports = { KEY_STATUS_MESSAGES, keyFingerprint, parseKeyList, createIdentity, checkKeyConfigured, checkKeyAtStartup };
@@ -0,0 +1,252 @@
+// Import of food history from other trackers' CSV exports, used by the bot's /import.
+//
+//   const parsed = parseImportCsv(text);   // { rows, errors, skipped }
+//   const result = await importEntries(storage, userId, parsed.rows, { chatId });
+//
+// Columns are matched by name, so MyFitnessPal ("Date, Meal, Calories, Fat (g),
+// Carbohydrates (g), Protein (g), Fiber"), Cronometer ("Day, Time, Food Name, Amount,
+// Energy (kcal), Protein (g), Carbs (g), Fat (g), Fiber (g), Water (g)") and this bot's
+// own /export CSV all work. A date and calories are required; every other column is optional.
+const crypto = require('crypto');
+
+// Limits for one file. The bot checks MAX_IMPORT_BYTES before downloading.
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 20000;
+
+// Entry field -> accepted column names, after normalizeHeader(). The first matching column wins.
+const COLUMN_ALIASES = {
+  date: ['date', 'day'],
+  time: ['time'],
+  food_name: ['food name', 'food', 'name', 'description', 'item', 'meal'],
+  serving_size: ['serving size', 'serving', 'amount', 'quantity'],
+  calories: ['calories', 'energy', 'kcal'],
+  protein: ['protein'],
+  carbs: ['carbohydrates', 'carbs', 'carbohydrate', 'total carbohydrate'],
+  fat: ['fat', 'total fat'],
+  fiber: ['fiber', 'fibre', 'dietary fiber'],
+  hydration: ['water', 'hydration']
+};
+
+const NUTRIENT_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'hydration'];
+
+// Split CSV text into rows of fields. Handles quoted fields with commas, quotes and newlines.
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// "Fat (g)" -> "fat", "Energy (kcal)" -> "energy", "calories_kcal" -> "calories"
+function normalizeHeader(header) {
+  return header
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z]+/g, ' ')
+    .replace(/\s(kcal|g|mg|ml)$/, '')
+    .trim();
+}
+
+// Find the column for each entry field. Returns field -> column index.
+function mapColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    for (const alias of aliases) {
+      const index = normalized.indexOf(alias);
+      if (index !== -1 && !Object.values(columns).includes(index)) {
+        columns[field] = index;
+        return;
+      }
+    }
+  });
+  return columns;
+}
+
+// Accepts YYYY-MM-DD (or with slashes), and D/M/YYYY or M/D/YYYY. Slashed dates are read
+// as month first, as MyFitnessPal's US exports write them, unless the first number can't be a month.
+function parseImportDate(value) {
+  const text = (value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  const iso = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s].*)?$/);
+  const slashed = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (iso) {
+    [year, month, day] = [iso[1], iso[2], iso[3]].map(Number);
+  } else if (slashed) {
+    const [first, second] = [Number(slashed[1]), Number(slashed[2])];
+    year = Number(slashed[3]);
+    [month, day] = first > 12 ? [second, first] : [first, second];
+  } else {
+    return null;
+  }
+
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return isNaN(parsed) || parsed.toISOString().split('T')[0] !== date ? null : date;
+}
+
+// "1,234.5" -> 1234.5; empty -> 0; anything else -> null
+function parseImportNumber(value) {
+  const text = (value || '').trim().replace(/,(?=\d{3}\b)/g, '').replace(/\s/g, '');
+  if (text === '') return 0;
+  const number = Number(text.replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// Parse a CSV export into entry rows. Rows that can't be read are listed in errors by
+// line number; rows with nothing in them (no calories, no macros) are counted as skipped.
+function parseImportCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const [headers, ...lines] = parseCsvRows(content, delimiter);
+  if (!headers) {
+    throw new Error('The file is empty.');
+  }
+
+  const columns = mapColumns(headers);
+  if (columns.date === undefined || columns.calories === undefined) {
+    throw new Error('I couldn\'t find a date column and a calories (or energy) column in the first line.');
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has ${lines.length} rows; the most I can import at once is ${MAX_IMPORT_ROWS}.`);
+  }
+
+  const rows = [];
+  const errors = [];
+  let skipped = 0;
+
+  lines.forEach((fields, index) => {
+    const line = index + 2;
+    const value = (field) => (columns[field] === undefined ? '' : (fields[columns[field]] || '').trim());
+
+    const date = parseImportDate(value('date'));
+    if (!date) {
+      errors.push({ line, reason: `unreadable date "${value('date')}"` });
+      return;
+    }
+
+    const nutrients = {};
+    for (const field of NUTRIENT_FIELDS) {
+      nutrients[field] = parseImportNumber(value(field));
+      if (nutrients[field] === null) {
+        errors.push({ line, reason: `unreadable ${field} "${value(field)}"` });
+        return;
+      }
+    }
+
+    // Trackers write empty rows for meals with nothing logged
+    if (NUTRIENT_FIELDS.every(field => nutrients[field] === 0)) {
+      skipped++;
+      return;
+    }
+
+    const time = value('time').match(/^(\d{1,2}):(\d{2})/);
+    if (time && (Number(time[1]) > 23 || Number(time[2]) > 59)) {
+      errors.push({ line, reason: `unreadable time "${value('time')}"` });
+      return;
+    }
+
+    const entry = {
+      food_name: value('food_name') || 'Imported entry',
+      calories: Math.round(nutrients.calories),
+      protein: Math.round(nutrients.protein * 10) / 10,
+      carbs: Math.round(nutrients.carbs * 10) / 10,
+      fat: Math.round(nutrients.fat * 10) / 10,
+      fiber: Math.round(nutrients.fiber * 10) / 10,
+      hydration: Math.round(nutrients.hydration)
+    };
+    if (value('serving_size')) {
+      entry.serving_size = value('serving_size');
+    }
+
+    rows.push({ date, time: time ? `${time[1].padStart(2, '0')}:${time[2]}` : null, entry });
+  });
+
+  return { rows, errors, skipped };
+}
+
+// Store parsed rows as entries. Days the user already has entries for are left alone,
+// so their own log wins and importing the same file twice adds nothing. Every entry is
+// built before the first is written, so a bad row can't leave an import half done.
+async function importEntries(storage, userId, rows, { chatId = userId } = {}) {
+  const dates = [...new Set(rows.map(row => row.date))].sort();
+  const existingDays = new Set(await storage.getDays(userId));
+
+  const result = { imported: 0, importedDays: [], skippedDays: [] };
+  const days = [];
+
+  for (const date of dates) {
+    if (existingDays.has(date)) {
+      result.skippedDays.push(date);
+      continue;
+    }
+
+    const entries = rows.filter(row => row.date === date).map((row, index) => {
+      // The source's local time is kept as-is, since entries are only ordered by it within
+      // their day. A second per row keeps the file's order among rows with the same time.
+      const time = Date.parse(`${date}T${row.time || '12:00'}:00Z`);
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid date or time for an imported row: ${date} ${row.time}`);
+      }
+
+      return {
+        ...row.entry,
+        confidence: 'imported',
+        id: crypto.randomUUID(),
+        timestamp: new Date(time + index * 1000).toISOString(),
+        chatId
+      };
+    });
+    days.push({ date, entries });
+  }
+
+  for (const { date, entries } of days) {
+    for (const entry of entries) {
+      await storage.addEntry(userId, date, entry);
+      result.imported++;
+    }
+    result.importedDays.push(date);
+  }
+
+  return result;
+}
+
+module.exports = { MAX_IMPORT_BYTES, parseImportCsv, importEntries };
@@ -0,0 +1,81 @@
+// Today's leaderboard, shared by the bot's /leaderboard and the dashboard's /api/leaderboard.
+//
+//   const leaderboard = createLeaderboard({ storage, users });
+//   const entries = await leaderboard.getLeaderboardData();
+//
+// Each user is scored on their own local today against their own goals (see scoring.js).
+// Names are masked, and users who opted out with /privacy are left out.
+const { calculateTotals } = require('./nutrition');
+const { scoreDay, maskUserName } = require('./scoring');
+
+const CACHE_KEY = 'leaderboard';
+const CACHE_TTL_SECONDS = 5 * 60;
+
+function createLeaderboard({ storage, users }) {
+  // Everyone who logged food on their local today, best score first:
+  // [{ userId, displayName, score, percentages, deviations, totals, goals }]
+  async function getLeaderboardData() {
+    const profiles = await users.getAllUsers();
+    const leaderboard = [];
+
+    // Entries are keyed by sender, so this includes channel authors without a profile
+    for (const userId of await storage.getEntryUserIds()) {
+      // Users can hide themselves from the leaderboard with /privacy
+      if ((await users.getUserSettings(userId)).leaderboardOptOut) continue;
+
+      const entries = await storage.getEntries(userId, await users.getUserToday(userId));
+      if (entries.length === 0) continue;
+
+      const totals = calculateTotals(entries);
+      const goals = await users.loadGoals(userId);
+      const { score, percentages, deviations } = scoreDay(totals, goals);
+
+      leaderboard.push({
+        userId,
+        displayName: maskUserName(users.getDisplayName(userId, profiles)),
+        score,
+        percentages,
+        deviations,
+        totals,
+        goals
+      });
+    }
+
+    // Sort by score descending
+    leaderboard.sort((a, b) => b.score - a.score);
+
+    return leaderboard;
+  }
+
+  // Load cached leaderboard
+  async function loadLeaderboardCache() {
+    try {
+      return await storage.getCache(CACHE_KEY);
+    } catch (error) {
+      console.error('Error loading leaderboard cache:', error);
+      return null;
+    }
+  }
+
+  // Save leaderboard cache
+  async function saveLeaderboardCache(leaderboard) {
+    try {
+      await storage.setCache(CACHE_KEY, leaderboard, CACHE_TTL_SECONDS);
+    } catch (error) {
+      console.error('Error saving leaderboard cache:', error);
+    }
+  }
+
+  // Clear leaderboard cache
+  async function clearLeaderboardCache() {
+    try {
+      await storage.deleteCache(CACHE_KEY);
+    } catch (error) {
+      console.error('Error clearing leaderboard cache:', error);
+    }
+  }
+
+  return { getLeaderboardData, loadLeaderboardCache, saveLeaderboardCache, clearLeaderboardCache };
+}
+
+module.exports = { createLeaderboard };
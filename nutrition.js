@@ -0,0 +1,104 @@
+// Nutrition arithmetic shared by the bot, its reports and the dashboard: goals,
+// totals of a day's entries, meal totals from their components, and averages.
+// Everything here is pure; loading entries and goals from storage happens in users.js
+// and tracking.js.
+
+// The six tracked nutrients, in the order they're shown
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'hydration'];
+
+// Nutrient fields on an entry, with the unit shown to users
+const NUTRIENT_UNITS = { calories: 'kcal', protein: 'g', carbs: 'g', fat: 'g', fiber: 'g', hydration: 'ml' };
+
+// Default nutrition goals used when neither the user nor the admin has set any
+const DEFAULT_GOALS = {
+  calories: 2000,
+  protein: 150,
+  carbs: 250,
+  fat: 70,
+  fiber: 25,
+  hydration: 2000
+};
+
+// Calories and hydration are whole numbers, macros keep one decimal
+function roundNutrient(field, value) {
+  const rounded = field === 'calories' || field === 'hydration'
+    ? Math.round(value)
+    : parseFloat(value.toFixed(1));
+  return Math.max(0, rounded);
+}
+
+// Sum the nutrition values of a list of entries
+function calculateTotals(entries) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, hydration: 0 };
+
+  (entries || []).forEach(entry => {
+    NUTRIENTS.forEach(nutrient => {
+      totals[nutrient] += entry[nutrient] || 0;
+    });
+  });
+
+  return totals;
+}
+
+// Fill in a meal's totals from its components. Analyses without components
+// (older format, or a single item) are returned unchanged.
+function buildMealEntry(meal) {
+  if (!Array.isArray(meal.components) || meal.components.length === 0) {
+    const { components, ...entry } = meal;
+    return entry;
+  }
+
+  const totals = calculateTotals(meal.components);
+
+  return {
+    ...meal,
+    calories: Math.round(totals.calories),
+    protein: parseFloat(totals.protein.toFixed(1)),
+    carbs: parseFloat(totals.carbs.toFixed(1)),
+    fat: parseFloat(totals.fat.toFixed(1)),
+    fiber: parseFloat(totals.fiber.toFixed(1)),
+    hydration: Math.round(totals.hydration)
+  };
+}
+
+// Average each nutrient over the logged days, so skipped days don't drag the averages down
+function averageTotals(dailyTotals) {
+  const averages = {};
+  NUTRIENTS.forEach(nutrient => {
+    const sum = dailyTotals.reduce((acc, day) => acc + day.totals[nutrient], 0);
+    averages[nutrient] = nutrient === 'calories' || nutrient === 'hydration'
+      ? Math.round(sum / dailyTotals.length)
+      : parseFloat((sum / dailyTotals.length).toFixed(1));
+  });
+  return averages;
+}
+
+// A day "hits" a goal when it lands within ±10% of the target
+function isGoalHit(totals, goals, nutrient) {
+  return Math.abs(totals[nutrient] / goals[nutrient] - 1) <= 0.1;
+}
+
+// Share of calories from protein, carbs and fat (4, 4 and 9 kcal per gram)
+function getMacroSplit({ protein, carbs, fat }) {
+  const calories = { protein: protein * 4, carbs: carbs * 4, fat: fat * 9 };
+  const total = calories.protein + calories.carbs + calories.fat;
+  if (total === 0) return null;
+
+  return {
+    protein: Math.round((calories.protein / total) * 100),
+    carbs: Math.round((calories.carbs / total) * 100),
+    fat: Math.round((calories.fat / total) * 100)
+  };
+}
+
+module.exports = {
+  NUTRIENTS,
+  NUTRIENT_UNITS,
+  DEFAULT_GOALS,
+  roundNutrient,
+  calculateTotals,
+  buildMealEntry,
+  averageTotals,
+  isGoalHit,
+  getMacroSplit
+};
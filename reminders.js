@@ -0,0 +1,250 @@
+// Meal, hydration and "haven't logged" reminders (/remind). This module decides what
+// to send and when; the bot stores the settings and sends the messages every minute.
+//
+// Stored per user under settings.reminders:
+//   { chatId, meals: [{ label, time }], hydrationHours, nudges, quietHours: { start, end } | null, lastSent: {} }
+// lastSent records when each reminder last went out so a restart or a missed tick never sends it twice.
+const { calculateTotals } = require('./nutrition');
+const { getLocalParts, getLocalDate } = require('./time');
+
+const MAX_MEAL_REMINDERS = 8;
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '07:00' };
+
+// A meal reminder still goes out if the scheduler missed its exact minute, up to this late
+const MEAL_REMINDER_WINDOW_MINUTES = 15;
+
+// Skip a meal reminder if the user logged something this recently
+const MEAL_REMINDER_RECENT_ENTRY_MINUTES = 60;
+
+// Nudge when nothing has been logged for this long, between these local hours
+const NUDGE_GAP_HOURS = 5;
+const NUDGE_START_HOUR = 10;
+const NUDGE_END_HOUR = 21;
+
+// Words that are subcommands of /remind rather than meal names
+const REMINDER_KEYWORDS = ['off', 'stop', 'on', 'water', 'hydration', 'nudge', 'nudges', 'quiet'];
+
+function getReminders(settings) {
+  const reminders = settings.reminders || {};
+  return {
+    chatId: reminders.chatId || null,
+    meals: reminders.meals || [],
+    hydrationHours: reminders.hydrationHours || null,
+    nudges: Boolean(reminders.nudges),
+    quietHours: reminders.quietHours === undefined ? DEFAULT_QUIET_HOURS : reminders.quietHours,
+    lastSent: reminders.lastSent || {}
+  };
+}
+
+function hasActiveReminders(reminders) {
+  return reminders.meals.length > 0 || Boolean(reminders.hydrationHours) || reminders.nudges;
+}
+
+// Parse a time of day ("12:30", "7", "7pm", "7:15 am") into "HH:MM"
+function parseTimeOfDay(input) {
+  const match = (input || '').trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const period = match[3] && match[3].toLowerCase();
+
+  if (period) {
+    if (hour < 1 || hour > 12) return null;
+    if (period === 'pm' && hour !== 12) hour += 12;
+    if (period === 'am' && hour === 12) hour = 0;
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function minutesOfDay(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+// Quiet hours may wrap past midnight (22:00-07:00)
+function isQuietTime(quietHours, minutes) {
+  if (!quietHours) return false;
+
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Name the meal an entry most likely was, from the local hour it was logged
+function describeMealTime(hour) {
+  if (hour < 11) return 'breakfast';
+  if (hour < 15) return 'lunch';
+  if (hour < 18) return 'your afternoon snack';
+  return 'dinner';
+}
+
+function formatReminders(reminders, timezone) {
+  const meals = [...reminders.meals].sort((a, b) => a.time.localeCompare(b.time));
+
+  let text = '⏰ *Your Reminders*\n\n';
+  text += `🍽️ Meals: ${meals.length > 0 ? meals.map(meal => `${meal.label} ${meal.time}`).join(', ') : 'none'}\n`;
+  text += `💧 Hydration: ${reminders.hydrationHours ? `every ${reminders.hydrationHours} hour${reminders.hydrationHours === 1 ? '' : 's'}` : 'off'}\n`;
+  text += `👀 Nudges when you haven't logged for ${NUDGE_GAP_HOURS} hours: ${reminders.nudges ? 'on' : 'off'}\n`;
+  text += `🌙 Quiet hours: ${reminders.quietHours ? `${reminders.quietHours.start}-${reminders.quietHours.end}` : 'none'}\n\n`;
+  text += `Times are in your time zone (${timezone}).`;
+  return text;
+}
+
+const REMIND_USAGE = 'To change them, send one of:\n' +
+  '`/remind lunch 12:30` - a meal reminder (any name)\n' +
+  '`/remind lunch off` - remove it\n' +
+  '`/remind water 2h` - hydration pings every 2 hours (`/remind water off` to stop)\n' +
+  '`/remind nudge on` - nudge me when I haven\'t logged for a while\n' +
+  '`/remind quiet 22:00-07:00` - no reminders during these hours (`/remind quiet off` for none)\n' +
+  '`/remind off` - turn all reminders off';
+
+// Apply a /remind argument to the user's reminders.
+// Returns { reminders, message } or null if the argument isn't understood.
+function applyRemindCommand(reminders, input) {
+  const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (text === 'off' || text === 'stop') {
+    return {
+      reminders: { ...reminders, meals: [], hydrationHours: null, nudges: false },
+      message: '🔕 All reminders are off.'
+    };
+  }
+
+  const waterMatch = text.match(/^(?:water|hydration) (?:(off)|(?:every )?(\d{1,2}) ?h(?:ours?|rs?)?)$/);
+  if (waterMatch) {
+    if (waterMatch[1]) {
+      return { reminders: { ...reminders, hydrationHours: null }, message: '💧 Hydration reminders are off.' };
+    }
+    const hours = parseInt(waterMatch[2], 10);
+    if (hours < 1 || hours > 12) return null;
+    return {
+      // Count the first interval from now rather than pinging straight away
+      reminders: { ...reminders, hydrationHours: hours, lastSent: { ...reminders.lastSent, hydration: new Date().toISOString() } },
+      message: `💧 I'll remind you to drink water every ${hours} hour${hours === 1 ? '' : 's'}.`
+    };
+  }
+
+  const nudgeMatch = text.match(/^nudges? (on|off)$/);
+  if (nudgeMatch) {
+    const nudges = nudgeMatch[1] === 'on';
+    return {
+      reminders: { ...reminders, nudges },
+      message: nudges
+        ? `👀 I'll nudge you when you haven't logged anything for ${NUDGE_GAP_HOURS} hours (between ${NUDGE_START_HOUR}:00 and ${NUDGE_END_HOUR}:00).`
+        : '👀 Nudges are off.'
+    };
+  }
+
+  const quietMatch = text.match(/^quiet (?:(off)|(.+?) ?(?:-|to) ?(.+))$/);
+  if (quietMatch) {
+    if (quietMatch[1]) {
+      return { reminders: { ...reminders, quietHours: null }, message: '🌙 Quiet hours are off; reminders can arrive at any time.' };
+    }
+    const start = parseTimeOfDay(quietMatch[2]);
+    const end = parseTimeOfDay(quietMatch[3]);
+    if (!start || !end || start === end) return null;
+    return {
+      reminders: { ...reminders, quietHours: { start, end } },
+      message: `🌙 No reminders between ${start} and ${end}.`
+    };
+  }
+
+  const mealMatch = text.match(/^([a-z][a-z0-9-]{0,19}) (?:at )?(.+)$/);
+  if (mealMatch && !REMINDER_KEYWORDS.includes(mealMatch[1])) {
+    const label = mealMatch[1];
+    const others = reminders.meals.filter(meal => meal.label !== label);
+
+    if (mealMatch[2] === 'off') {
+      if (others.length === reminders.meals.length) {
+        return { reminders, message: `ℹ️ You don't have a ${label} reminder.` };
+      }
+      return { reminders: { ...reminders, meals: others }, message: `🔕 ${label} reminder removed.` };
+    }
+
+    const time = parseTimeOfDay(mealMatch[2]);
+    if (!time) return null;
+    if (others.length >= MAX_MEAL_REMINDERS) {
+      return { reminders, message: `❌ You can have up to ${MAX_MEAL_REMINDERS} meal reminders. Remove one first, e.g. \`/remind ${others[0].label} off\`.` };
+    }
+
+    let message = `⏰ I'll remind you about ${label} at ${time} every day.`;
+    if (isQuietTime(reminders.quietHours, minutesOfDay(time))) {
+      message += `\n\n⚠️ That's inside your quiet hours (${reminders.quietHours.start}-${reminders.quietHours.end}), so it won't be sent until you change them with \`/remind quiet\`.`;
+    }
+    return { reminders: { ...reminders, meals: [...others, { label, time }] }, message };
+  }
+
+  return null;
+}
+
+// Work out which of a user's reminders are due now. entries are the user's entries for
+// their local day at `now`, goals their current goals. Returns [{ key, value, text }]; the
+// caller sends each text (null means skip it quietly) and records value in lastSent[key].
+function getDueReminders(reminders, { timezone, entries, goals, now = new Date() }) {
+  const local = getLocalParts(timezone, now);
+  const minutes = local.hour * 60 + local.minute;
+  if (isQuietTime(reminders.quietHours, minutes)) return [];
+
+  const due = [];
+  const lastEntry = entries[entries.length - 1];
+  const minutesSinceLastEntry = lastEntry ? (now - new Date(lastEntry.timestamp)) / 60000 : Infinity;
+
+  for (const meal of reminders.meals) {
+    const key = `meal:${meal.label}`;
+    const sinceReminder = minutes - minutesOfDay(meal.time);
+    if (sinceReminder < 0 || sinceReminder >= MEAL_REMINDER_WINDOW_MINUTES || reminders.lastSent[key] === local.date) continue;
+
+    // Already logged around this time: mark it done without sending
+    const text = minutesSinceLastEntry < MEAL_REMINDER_RECENT_ENTRY_MINUTES
+      ? null
+      : `⏰ Time for ${meal.label}! Send me a photo or /log what you eat.`;
+    due.push({ key, value: local.date, text });
+  }
+
+  if (reminders.hydrationHours) {
+    const lastPing = reminders.lastSent.hydration ? new Date(reminders.lastSent.hydration) : null;
+    if (!lastPing || now - lastPing >= reminders.hydrationHours * 60 * 60 * 1000) {
+      const totals = calculateTotals(entries);
+      // Nothing to nag about once the day's goal is reached
+      const text = totals.hydration >= goals.hydration
+        ? null
+        : `💧 Time for a glass of water! So far today: ${totals.hydration}/${goals.hydration} ml.`;
+      due.push({ key: 'hydration', value: now.toISOString(), text });
+    }
+  }
+
+  if (reminders.nudges && local.hour >= NUDGE_START_HOUR && local.hour < NUDGE_END_HOUR) {
+    const lastNudge = reminders.lastSent.nudge ? new Date(reminders.lastSent.nudge) : null;
+
+    if (!lastEntry) {
+      // One nudge a day when nothing has been logged at all
+      if (local.hour >= NUDGE_START_HOUR + 1 && (!lastNudge || getLocalDate(timezone, lastNudge) !== local.date)) {
+        due.push({ key: 'nudge', value: now.toISOString(), text: '👀 You haven\'t logged anything today. Send a photo or /log what you\'ve eaten.' });
+      }
+    } else if (minutesSinceLastEntry >= NUDGE_GAP_HOURS * 60 && (!lastNudge || lastNudge < new Date(lastEntry.timestamp))) {
+      // One nudge per gap: only if there's been no nudge since the last entry
+      const mealTime = describeMealTime(getLocalParts(timezone, new Date(lastEntry.timestamp)).hour);
+      due.push({
+        key: 'nudge',
+        value: now.toISOString(),
+        text: `👀 You haven't logged anything since ${mealTime} (${lastEntry.food_name}). Send a photo or /log what you've eaten.`
+      });
+    }
+  }
+
+  return due;
+}
+
+module.exports = {
+  getReminders,
+  hasActiveReminders,
+  formatReminders,
+  REMIND_USAGE,
+  applyRemindCommand,
+  getDueReminders
+};
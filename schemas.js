@@ -0,0 +1,177 @@
+// The tools Claude answers through, and checking what it sends back.
+//
+// Each request forces one tool (tool_choice), so the answer arrives as the input of a
+// tool_use block instead of JSON in prose. validateInput() checks that input against the
+// tool's own input_schema, since the API doesn't enforce it:
+//
+//   const { value, errors } = validateInput(MEAL_TOOL.input_schema, toolUse.input);
+//
+// Numbers sent as strings ("120", "12.5 g") become numbers, enum strings are matched
+// case-insensitively, and properties the schema doesn't list are dropped. Anything else
+// (a missing field, a negative or implausibly large number) is listed in `errors`.
+// Only the schema keywords used below are supported.
+
+const CONFIDENCE = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+// One food or drink. The maximums are far above any real portion: they catch misplaced
+// units and runaway numbers (a 50,000 kcal sandwich), not large meals.
+const FOOD_ITEM_PROPERTIES = {
+  food_name: { type: 'string', description: 'Name of the food or drink' },
+  calories: { type: 'number', minimum: 0, maximum: 5000, description: 'Energy in kcal' },
+  protein: { type: 'number', minimum: 0, maximum: 400, description: 'Protein in grams' },
+  carbs: { type: 'number', minimum: 0, maximum: 800, description: 'Carbohydrates in grams' },
+  fat: { type: 'number', minimum: 0, maximum: 400, description: 'Fat in grams' },
+  fiber: { type: 'number', minimum: 0, maximum: 150, description: 'Dietary fiber in grams' },
+  hydration: { type: 'number', minimum: 0, maximum: 5000, description: 'Water content in ml' },
+  serving_size: { type: 'string', description: 'The portion, e.g. "1 cup" or "200 g"' }
+};
+const FOOD_ITEM_REQUIRED = Object.keys(FOOD_ITEM_PROPERTIES);
+
+// A photo: the meal broken into its components
+const MEAL_TOOL = {
+  name: 'record_meal',
+  description: 'Record the nutritional analysis of the meal in the photo.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      food_name: { type: 'string', description: 'Name of the overall meal' },
+      components: {
+        type: 'array',
+        minItems: 1,
+        description: 'Each separate component of the meal (a single food or drink is one component)',
+        items: { type: 'object', properties: FOOD_ITEM_PROPERTIES, required: FOOD_ITEM_REQUIRED }
+      },
+      serving_size: { type: 'string', description: 'The whole meal\'s portion' },
+      confidence: CONFIDENCE
+    },
+    required: ['food_name', 'components', 'serving_size', 'confidence']
+  }
+};
+
+// A text description: one item per food or drink, none if it doesn't describe food
+const FOOD_ITEMS_TOOL = {
+  name: 'record_food_items',
+  description: 'Record the nutritional content of each food or drink in the description.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { ...FOOD_ITEM_PROPERTIES, confidence: CONFIDENCE },
+          required: [...FOOD_ITEM_REQUIRED, 'confidence']
+        }
+      }
+    },
+    required: ['items']
+  }
+};
+
+// Daily goals for /goals, within what's sensible for an adult
+const GOALS_TOOL = {
+  name: 'record_nutrition_goals',
+  description: 'Record the personalized daily nutrition goals.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      calories: { type: 'number', minimum: 1000, maximum: 6000, description: 'kcal per day' },
+      protein: { type: 'number', minimum: 20, maximum: 400, description: 'Grams per day' },
+      carbs: { type: 'number', minimum: 20, maximum: 800, description: 'Grams per day' },
+      fat: { type: 'number', minimum: 10, maximum: 300, description: 'Grams per day' },
+      fiber: { type: 'number', minimum: 10, maximum: 100, description: 'Grams per day' },
+      hydration: { type: 'number', minimum: 500, maximum: 6000, description: 'ml of water per day' }
+    },
+    required: ['calories', 'protein', 'carbs', 'fat', 'fiber', 'hydration']
+  }
+};
+
+// "120", " 12.5 g" or "300ml" as a number; null for anything else
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*[a-z]*$/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function propertyPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Check and coerce one value; returns the coerced value and adds problems to errors
+function checkValue(schema, value, path, errors) {
+  const name = path || 'input';
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${name} should be an object`);
+      return value;
+    }
+
+    const result = {};
+    (schema.required || []).forEach(key => {
+      if (isMissing(value[key])) errors.push(`${propertyPath(path, key)} is missing`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (isMissing(value[key])) return;
+      result[key] = checkValue(property, value[key], propertyPath(path, key), errors);
+    });
+    return result;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${name} should be an array`);
+      return value;
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${name} should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    return value.map((item, index) => checkValue(schema.items, item, `${name}[${index}]`, errors));
+  }
+
+  if (schema.type === 'number') {
+    const number = toNumber(value);
+    if (number === null) {
+      errors.push(`${name} should be a number, got ${JSON.stringify(value)}`);
+      return value;
+    }
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      errors.push(`${name} should be at least ${schema.minimum}, got ${number}`);
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      errors.push(`${name} should be at most ${schema.maximum}, got ${number}`);
+    }
+    return number;
+  }
+
+  if (schema.type === 'string') {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !text.trim()) {
+      errors.push(`${name} should be a non-empty string`);
+      return value;
+    }
+    if (schema.enum) {
+      const option = schema.enum.find(candidate => candidate === text.trim().toLowerCase());
+      if (!option) errors.push(`${name} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(text)}`);
+      return option || text;
+    }
+    return text.trim();
+  }
+
+  throw new Error(`Unsupported schema type: ${schema.type}`);
+}
+
+// Check a tool's input against its schema: { value (coerced), errors }
+function validateInput(schema, input) {
+  const errors = [];
+  const value = checkValue(schema, input, '', errors);
+  return { value, errors };
+}
+
+module.exports = { MEAL_TOOL, FOOD_ITEMS_TOOL, GOALS_TOOL, toNumber, validateInput };
@@ -0,0 +1,48 @@
+// Leaderboard scoring, shared by the bot's /leaderboard and the dashboard.
+//
+// A day scores 1000 when every nutrient is exactly on goal, minus the average deviation
+// from the goals (as a fraction) times 1000, floored at 0. Being 20% over on calories
+// counts the same as being 20% under.
+const { NUTRIENTS } = require('./nutrition');
+
+// Short labels for the per-nutrient breakdown ("cal:95% prot:110% ...")
+const DETAIL_LABELS = { calories: 'cal', protein: 'prot', carbs: 'carbs', fat: 'fats', fiber: 'fib', hydration: 'hyd' };
+
+// Score a day's totals against the user's goals
+function scoreDay(totals, goals) {
+  const percentages = {};
+  const deviations = {};
+  NUTRIENTS.forEach(nutrient => {
+    percentages[nutrient] = totals[nutrient] / goals[nutrient];
+    // Absolute deviation from 100% (1.0)
+    deviations[nutrient] = Math.abs(percentages[nutrient] - 1);
+  });
+
+  const avgDeviation = NUTRIENTS.reduce((sum, nutrient) => sum + deviations[nutrient], 0) / NUTRIENTS.length;
+  const score = Math.max(0, Math.round(1000 - (avgDeviation * 1000)));
+
+  return { score, percentages, deviations };
+}
+
+// "cal:95% prot:110% carbs:80% fats:100% fib:60% hyd:90%"
+function formatScoreDetails(percentages) {
+  return NUTRIENTS
+    .map(nutrient => `${DETAIL_LABELS[nutrient]}:${Math.round(percentages[nutrient] * 100)}%`)
+    .join(' ');
+}
+
+// Mask user name for privacy
+function maskUserName(fullName) {
+  if (!fullName || fullName.length <= 3) {
+    return fullName || 'Anonymous';
+  }
+
+  const firstChar = fullName.charAt(0);
+  const lastChar = fullName.charAt(fullName.length - 1);
+  const middleLength = Math.max(1, fullName.length - 2);
+  const maskedMiddle = '*'.repeat(middleLength);
+
+  return `${firstChar}${maskedMiddle}${lastChar}`;
+}
+
+module.exports = { scoreDay, formatScoreDetails, maskUserName };
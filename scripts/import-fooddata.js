@@ -0,0 +1,83 @@
+// Rebuild data/foods.json from a USDA FoodData Central JSON download
+// (https://fdc.nal.usda.gov/download-datasets.html, "SR Legacy" or "Foundation Foods").
+//
+// Usage: node scripts/import-fooddata.js <FoodData_Central_export.json> [output.json]
+//
+// Only foods whose description matches a name already in the output file are
+// updated, so the curated aliases, serving sizes and densities are kept; pass
+// --all to append every food in the export as well.
+const fs = require('fs');
+const path = require('path');
+
+// FoodData Central nutrient numbers
+const NUTRIENT_NUMBERS = {
+  '208': 'calories',
+  '203': 'protein',
+  '205': 'carbs',
+  '204': 'fat',
+  '291': 'fiber',
+  '255': 'water'
+};
+
+function readNutrients(fdcFood) {
+  const per100g = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, water: 0 };
+
+  for (const foodNutrient of fdcFood.foodNutrients || []) {
+    const number = foodNutrient.nutrient && foodNutrient.nutrient.number;
+    const field = NUTRIENT_NUMBERS[number];
+    if (field && typeof foodNutrient.amount === 'number') {
+      per100g[field] = Math.round(foodNutrient.amount * 10) / 10;
+    }
+  }
+
+  per100g.calories = Math.round(per100g.calories);
+  return per100g;
+}
+
+// Same layout as the bundled file: one food per line so diffs stay readable
+function serializeDatabase(database) {
+  const { foods, ...header } = database;
+  const headerJson = JSON.stringify(header, null, 2).replace(/\n}$/, '');
+  const foodLines = foods.map(food => '    ' + JSON.stringify(food).replace(/":/g, '": ').replace(/,"/g, ', "'));
+  return `${headerJson},\n  "foods": [\n${foodLines.join(',\n')}\n  ]\n}\n`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const includeAll = args.includes('--all');
+  const [inputFile, outputFile = path.join(__dirname, '..', 'data', 'foods.json')] = args.filter(arg => arg !== '--all');
+
+  if (!inputFile) {
+    console.error('Usage: node scripts/import-fooddata.js <FoodData_Central_export.json> [output.json] [--all]');
+    process.exit(1);
+  }
+
+  const exportData = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  const fdcFoods = exportData.SRLegacyFoods || exportData.FoundationFoods || exportData.SurveyFoods || [];
+  const database = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+
+  const byName = new Map(database.foods.map(food => [food.name.toLowerCase(), food]));
+  let updated = 0;
+  let added = 0;
+
+  for (const fdcFood of fdcFoods) {
+    const name = (fdcFood.description || '').trim();
+    if (!name) continue;
+
+    const existing = byName.get(name.toLowerCase());
+    if (existing) {
+      existing.per_100g = readNutrients(fdcFood);
+      updated++;
+    } else if (includeAll) {
+      const food = { name, aliases: [], per_100g: readNutrients(fdcFood), serving_g: 100 };
+      database.foods.push(food);
+      byName.set(name.toLowerCase(), food);
+      added++;
+    }
+  }
+
+  fs.writeFileSync(outputFile, serializeDatabase(database));
+  console.log(`Imported ${fdcFoods.length} foods: ${updated} updated, ${added} added -> ${outputFile}`);
+}
+
+main();
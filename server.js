@@ -1,335 +1,123 @@
-const express = require('express');
-const redis = require('redis');
-const axios = require('axios');
-const path = require('path');
-const fs = require('fs').promises;
+// The standalone dashboard web service (npm run web, Dockerfile.web). It reads the
+// bot's storage and shows the same names, goals and scores as the bot.
+//
+//   const app = createServer({ storage, identity });   // storage connected, key checked
+//
+// `node server.js` builds storage and identity from the environment and listens on PORT.
 require('dotenv').config();
+const express = require('express');
+const { createStorage } = require('./storage');
+const { parseKeyList, createIdentity, checkKeyConfigured, checkKeyAtStartup } = require('./identity');
+const { createUsers } = require('./users');
+const { createLeaderboard } = require('./leaderboard');
+const { createUsage } = require('./usage');
+const { createDashboardRouter } = require('./dashboard');
+const { EXPORT_FORMATS, buildUserExport, formatExport } = require('./export');
+
+// Require the ADMIN_SECRET, sent as the X-Admin-Secret header or an admin_secret body field
+function requireAdminSecret(req, res, next) {
+  const adminSecret = process.env.ADMIN_SECRET;
+  const provided = req.headers['x-admin-secret'] || req.body?.admin_secret;
+
+  if (!adminSecret) {
+    return res.status(403).json({ error: 'Disabled: ADMIN_SECRET not configured' });
+  }
 
-const app = express();
-const port = process.env.PORT || 3000;
-
-// Middleware
-app.use(express.static(path.join(__dirname, 'web')));
-app.use(express.json());
+  if (!provided || provided !== adminSecret) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
-// Initialize Redis client
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379'
-});
+  next();
+}
 
-redisClient.on('error', (err) => console.error('Redis Client Error', err));
+function createServer({ storage, identity }) {
+  const app = express();
 
-// Connect to Redis
-redisClient.connect().catch(console.error);
+  // Middleware
+  app.use(express.json());
 
-// Middleware
-app.use(express.static('web'));
-app.use(express.json());
+  // Same services as the bot, so names, goals and scores match what it shows
+  const users = createUsers({ storage, identity });
+  const leaderboard = createLeaderboard({ storage, users });
+  const usage = createUsage({ storage });
 
-// Utility function to mask user names
-function maskUserName(fullName) {
-  if (!fullName || fullName.length <= 3) {
-    return fullName || 'Anonymous';
-  }
-  
-  const firstChar = fullName.charAt(0);
-  const lastChar = fullName.charAt(fullName.length - 1);
-  const middleLength = Math.max(1, fullName.length - 2);
-  const maskedMiddle = '*'.repeat(middleLength);
-  
-  return `${firstChar}${maskedMiddle}${lastChar}`;
-}
+  // Clear leaderboard (wipe nutrition data) - protected by ADMIN_SECRET env var
+  app.post('/api/clear-leaderboard', requireAdminSecret, async (req, res) => {
+    try {
+      // Remove nutrition data and message associations to clear leaderboard entries
+      await storage.clearNutritionData();
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
-  const healthStatus = {
-    timestamp: new Date().toISOString(),
-    services: {}
-  };
-
-  // Check Redis
-  try {
-    await redisClient.ping();
-    healthStatus.services.redis = {
-      status: 'online',
-      message: 'Connected successfully'
-    };
-  } catch (error) {
-    healthStatus.services.redis = {
-      status: 'offline',
-      message: 'Connection failed',
-      error: error.message
-    };
-  }
-
-  // Check Telegram Bot (basic connectivity)
-  try {
-    if (process.env.TELEGRAM_BOT_TOKEN) {
-      // This is a basic check - in production you might want to make an actual API call
-      healthStatus.services.telegram = {
-        status: 'online',
-        message: 'Token configured'
-      };
-    } else {
-      healthStatus.services.telegram = {
-        status: 'warning',
-        message: 'Token not configured'
-      };
+      return res.json({ status: 'ok', message: 'Leaderboard cleared (nutrition entries and message associations removed)' });
+    } catch (error) {
+      console.error('Error clearing leaderboard:', error);
+      res.status(500).json({ error: 'Failed to clear leaderboard', message: error.message });
     }
-  } catch (error) {
-    healthStatus.services.telegram = {
-      status: 'offline',
-      message: 'Service unavailable',
-      error: error.message
-    };
-  }
-
-  // Check Claude AI
-  try {
-    if (process.env.ANTHROPIC_API_KEY) {
-      healthStatus.services.claude = {
-        status: 'online',
-        message: 'API key configured'
-      };
-    } else {
-      healthStatus.services.claude = {
-        status: 'warning',
-        message: 'API key not configured'
-      };
+  });
+
+  // Export one user's entries and goals - protected by ADMIN_SECRET env var
+  // ?format=json (default), csv or fhir
+  app.get('/api/users/:id/export', requireAdminSecret, async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format, expected one of: ${EXPORT_FORMATS.join(', ')}` });
     }
-  } catch (error) {
-    healthStatus.services.claude = {
-      status: 'offline',
-      message: 'Service unavailable',
-      error: error.message
-    };
-  }
-
-  // Web service status
-  healthStatus.services.web = {
-    status: 'online',
-    message: 'Web interface operational'
-  };
 
-  res.json(healthStatus);
-});
+    try {
+      const userId = req.params.id;
+      const data = await buildUserExport(storage, userId, await users.loadGoals(userId));
 
-// Leaderboard API endpoint
-app.get('/api/leaderboard', async (req, res) => {
-  try {
-    // Load nutrition data to get all active users
-    const nutritionData = await redisClient.get('nutrition_data');
-    const usersData = await redisClient.get('users');
-    const goalsData = await redisClient.get('goals');
-    
-    const nutrition = nutritionData ? JSON.parse(nutritionData) : {};
-    const users = usersData ? JSON.parse(usersData) : {};
-    const goals = goalsData ? JSON.parse(goalsData) : {
-      calories: 2000,
-      protein: 150,
-      carbs: 250,
-      fat: 70,
-      fiber: 25,
-      hydration: 2000
-    };
-    
-    const leaderboard = [];
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Process each user who has nutrition data
-    for (const chatId in nutrition) {
-      // Check if user has data for today
-      if (nutrition[chatId] && nutrition[chatId][today]) {
-        // Calculate totals for today
-        const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, hydration: 0 };
-        
-        nutrition[chatId][today].forEach(entry => {
-          totals.calories += entry.calories || 0;
-          totals.protein += entry.protein || 0;
-          totals.carbs += entry.carbs || 0;
-          totals.fat += entry.fat || 0;
-          totals.fiber += entry.fiber || 0;
-          totals.hydration += entry.hydration || 0;
-        });
-        
-        // Calculate percentage for each category
-        const percentages = {
-          calories: totals.calories / goals.calories,
-          protein: totals.protein / goals.protein,
-          carbs: totals.carbs / goals.carbs,
-          fat: totals.fat / goals.fat,
-          fiber: totals.fiber / goals.fiber,
-          hydration: totals.hydration / goals.hydration
-        };
-        
-        // Calculate absolute deviations from 100% (1.0)
-        const deviations = {
-          calories: Math.abs(percentages.calories - 1),
-          protein: Math.abs(percentages.protein - 1),
-          carbs: Math.abs(percentages.carbs - 1),
-          fat: Math.abs(percentages.fat - 1),
-          fiber: Math.abs(percentages.fiber - 1),
-          hydration: Math.abs(percentages.hydration - 1)
-        };
-        
-        // Calculate average deviation
-        const avgDeviation = (
-          deviations.calories + 
-          deviations.protein + 
-          deviations.carbs + 
-          deviations.fat + 
-          deviations.fiber + 
-          deviations.hydration
-        ) / 6;
-        
-        // Convert to score (1000 - deviation * 1000)
-        const score = Math.max(0, Math.round(1000 - (avgDeviation * 1000)));
-        
-        // Get user info
-        let displayName = `User ${chatId}`;
-        if (users[chatId]) {
-          const userInfo = users[chatId];
-          // Decrypt user's name for display (try different name fields)
-          if (userInfo.fullName) {
-            displayName = decrypt(userInfo.fullName);
-          } else if (userInfo.firstName && userInfo.lastName) {
-            displayName = `${decrypt(userInfo.firstName)} ${decrypt(userInfo.lastName)}`;
-          } else if (userInfo.firstName) {
-            displayName = decrypt(userInfo.firstName);
-          } else if (userInfo.username) {
-            displayName = decrypt(userInfo.username);
-          }
-        }
-        
-        if (score > 0) {
-          leaderboard.push({
-            userId: chatId,
-            displayName: maskUserName(displayName),
-            score: score,
-            percentages: percentages,
-            totals: totals,
-            goals: goals
-          });
-        }
+      if (data.entries.length === 0 && !data.customGoals) {
+        return res.status(404).json({ error: 'No data for this user' });
       }
-    }
-    
-    // Sort by score descending
-    leaderboard.sort((a, b) => b.score - a.score);
-    
-    // Add rankings
-    const rankedLeaderboard = leaderboard.map((user, index) => ({
-      ...user,
-      rank: index + 1,
-      details: `cal:${Math.round(user.percentages.calories * 100)}% prot:${Math.round(user.percentages.protein * 100)}% carbs:${Math.round(user.percentages.carbs * 100)}% fats:${Math.round(user.percentages.fat * 100)}% fib:${Math.round(user.percentages.fiber * 100)}% hyd:${Math.round(user.percentages.hydration * 100)}%`
-    }));
-    
-    res.json({
-      timestamp: new Date().toISOString(),
-      leaderboard: rankedLeaderboard,
-      totalUsers: rankedLeaderboard.length
-    });
-    
-  } catch (error) {
-    console.error('Error generating leaderboard:', error);
-    res.status(500).json({
-      error: 'Failed to generate leaderboard',
-      message: error.message
-    });
-  }
-});
 
-// Clear leaderboard (wipe nutrition data) - protected by ADMIN_SECRET env var
-app.post('/api/clear-leaderboard', async (req, res) => {
-  try {
-    const adminSecret = process.env.ADMIN_SECRET;
-    const provided = req.headers['x-admin-secret'] || req.body?.admin_secret;
-
-    if (!adminSecret) {
-      return res.status(403).json({ error: 'Clearing disabled: ADMIN_SECRET not configured' });
+      const file = formatExport(data, format);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.type(file.contentType).send(file.content);
+    } catch (error) {
+      console.error('Error exporting user data:', error);
+      res.status(500).json({ error: 'Failed to export user data', message: error.message });
     }
+  });
 
-    if (!provided || provided !== adminSecret) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+  // Dashboard and its API
+  app.use(createDashboardRouter({ storage, users, leaderboard, identity, usage, serviceName: 'Food Analyst Bot Dashboard' }));
 
-    // Remove nutrition data and message associations to clear leaderboard entries
-    await redisClient.del('nutrition_data');
-    await redisClient.del('message_associations');
+  return app;
+}
 
-    return res.json({ status: 'ok', message: 'Leaderboard cleared (nutrition_data and message_associations removed)' });
-  } catch (error) {
-    console.error('Error clearing leaderboard:', error);
-    res.status(500).json({ error: 'Failed to clear leaderboard', message: error.message });
+if (require.main === module) {
+  const port = process.env.PORT || 3000;
+
+  // Storage backend (Redis by default, see STORAGE_BACKEND)
+  const storage = createStorage({ redisUrl: process.env.REDIS_URL || 'redis://localhost:6379' });
+  const identity = createIdentity({
+    storage,
+    key: process.env.ENCRYPTION_KEY,
+    previousKeys: parseKeyList(process.env.ENCRYPTION_PREVIOUS_KEYS)
+  });
+
+  // Refuse to run without a usable encryption key unless degraded mode was asked for. A
+  // missing or invalid key stops the dashboard right away; storage and the key check must
+  // both succeed before it listens.
+  const degradedMode = process.env.ENCRYPTION_DEGRADED_MODE === 'true';
+  if (!checkKeyConfigured(identity, { degradedMode })) {
+    process.exit(1);
   }
-});
 
-// Stats endpoint
-app.get('/api/stats', async (req, res) => {
-  try {
-    const stats = {
-      timestamp: new Date().toISOString()
-    };
-    
-    // Get user count
-    const usersData = await redisClient.get('users');
-    const users = usersData ? JSON.parse(usersData) : {};
-    stats.totalUsers = Object.keys(users).length;
-    
-    // Get today's entries count
-    const nutritionData = await redisClient.get('nutrition_data');
-    const nutrition = nutritionData ? JSON.parse(nutritionData) : {};
-    const today = new Date().toISOString().split('T')[0];
-    
-    let todayEntries = 0;
-    for (const chatId in nutrition) {
-      if (nutrition[chatId] && nutrition[chatId][today]) {
-        todayEntries += nutrition[chatId][today].length;
-      }
-    }
-    stats.todayEntries = todayEntries;
-    
-    // Get goals
-    const goalsData = await redisClient.get('goals');
-    stats.currentGoals = goalsData ? JSON.parse(goalsData) : {};
-    
-    res.json(stats);
-    
-  } catch (error) {
-    console.error('Error getting stats:', error);
-    res.status(500).json({
-      error: 'Failed to get statistics',
-      message: error.message
-    });
-  }
-});
+  storage.connect()
+    .then(() => checkKeyAtStartup(identity, { degradedMode }))
+    .then((usable) => {
+      if (!usable) process.exit(1);
 
-// Serve the main page
-app.get('/', (req, res) => {
-  // If requesting root, serve the dashboard if it exists, otherwise return health status
-  const indexPath = path.join(__dirname, 'web', 'index.html');
-  
-  // Check if index.html exists in web directory
-  fs.access(indexPath, fs.constants.F_OK)
-    .then(() => {
-      // If index.html exists, serve the dashboard
-      res.sendFile(indexPath);
-    })
-    .catch(() => {
-      // If index.html doesn't exist, return health status
-      res.json({ 
-        status: 'healthy', 
-        service: 'Food Analyst Bot Dashboard',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+      createServer({ storage, identity }).listen(port, () => {
+        console.log(`🤖 Food Analyst Bot Health Dashboard running on port ${port}`);
+        console.log(`📊 Access dashboard at: http://localhost:${port}`);
       });
+    })
+    .catch((error) => {
+      console.error('❌ Startup failed:', error);
+      process.exit(1);
     });
-});
-
-// Start server
-app.listen(port, () => {
-  console.log(`🤖 Food Analyst Bot Health Dashboard running on port ${port}`);
-  console.log(`📊 Access dashboard at: http://localhost:${port}`);
-});
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { createServer };
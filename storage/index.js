@@ -0,0 +1,45 @@
+// Storage used by both the bot (zeabur-bot.js) and the web dashboard (server.js).
+//
+// STORAGE_BACKEND picks the implementation:
+//   redis   (default) Redis at REDIS_URL
+//   file    in memory, saved to STORAGE_FILE (default data/storage.json)
+//   memory  in memory only, lost on restart
+//
+// Every backend returns the same set of async functions:
+//   connect(), ping()
+//   addEntry(userId, date, entry), getEntries(userId, date), getEntriesByDate(userId, dates),
+//   getEntry / updateEntry / removeEntry(userId, date, entryId[, updates]),
+//   getDays(userId), getEntryUserIds(), countEntries(userId, date), clearNutritionData()
+//   get/getAll/save/countUserProfile(s), get/getAll/save/countUserGoals, get/getAllUserSettings,
+//   updateUserSettings(userId, updates), getDefaultGoals()
+//   get/setKeyFingerprint([fingerprint])
+//   get/set/deleteCache(key[, value, ttlSeconds])
+//   save/get/deleteAssociation(chatId, messageId[, association])
+//   save/get/deleteConversation(chatId, userId[, conversation, ttlSeconds])
+//   pushChange(userId, change, limit, ttlSeconds), getLastChange(userId), popChange(userId)
+//   addUsage(date, userId, usage, ttlSeconds), getUsage(date)
+//   deleteUserData(userId)
+//   migrateLegacyData()
+const path = require('path');
+const { createRedisStorage } = require('./redis');
+const { createMemoryStorage } = require('./memory');
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', 'data', 'storage.json');
+
+// Create the configured backend. Options override the environment (used by tests).
+function createStorage(options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND || 'redis').toLowerCase();
+
+  switch (backend) {
+    case 'redis':
+      return createRedisStorage({ url: options.redisUrl || process.env.REDIS_URL });
+    case 'file':
+      return createMemoryStorage({ file: options.file || process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected redis, file or memory)`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,426 @@
+// In-memory storage backend, optionally persisted to a JSON file. Meant for local
+// runs and tests without a Redis server; see storage/index.js for the interface.
+//
+// With a file, every write rewrites the file and every read first reloads it if
+// another process (e.g. the dashboard next to the bot) has changed it since.
+// That is fine for one person testing locally, not for production traffic.
+const fs = require('fs');
+const path = require('path');
+
+function emptyState() {
+  return {
+    entries: {},       // userId -> date -> entryId -> entry
+    profiles: {},
+    goals: {},
+    settings: {},
+    associations: {},  // "chatId:messageId" -> association
+    conversations: {}, // "chatId:userId" -> { conversation, expiresAt }
+    changes: {},       // userId -> { changes (newest first), expiresAt }
+    usage: {},         // date -> { users: userId -> counters, expiresAt }
+    defaultGoals: null,
+    keyFingerprint: null
+  };
+}
+
+// Values are copied in and out so callers can't mutate stored data, as with Redis
+function clone(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Entries are stored unordered; show them in the order they were logged
+function sortEntries(entries) {
+  return entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+}
+
+function createMemoryStorage({ file = null } = {}) {
+  let state = emptyState();
+  let loadedVersion = null;
+  const cache = new Map();
+
+  // Modification time and size together tell us whether another process has written
+  function fileVersion() {
+    const { mtimeMs, size } = fs.statSync(file);
+    return `${mtimeMs}:${size}`;
+  }
+
+  function reload() {
+    if (!file) return;
+
+    try {
+      const version = fileVersion();
+      if (version === loadedVersion) return;
+      state = { ...emptyState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+      loadedVersion = version;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading storage file ${file}:`, error.message);
+      }
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a file behind
+  function persist() {
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, file);
+    loadedVersion = fileVersion();
+  }
+
+  // Run a change against the latest state and save it
+  function write(change) {
+    reload();
+    const result = change();
+    persist();
+    return clone(result);
+  }
+
+  function read(getter) {
+    reload();
+    return clone(getter());
+  }
+
+  function dayEntries(userId, date) {
+    return (state.entries[userId] && state.entries[userId][date]) || {};
+  }
+
+  async function connect() {
+    reload();
+  }
+
+  async function ping() {
+    return 'PONG';
+  }
+
+  // --- Food entries ---
+
+  async function addEntry(userId, date, entry) {
+    return write(() => {
+      state.entries[userId] = state.entries[userId] || {};
+      state.entries[userId][date] = state.entries[userId][date] || {};
+      state.entries[userId][date][entry.id] = clone(entry);
+      return entry;
+    });
+  }
+
+  async function getEntries(userId, date) {
+    return read(() => sortEntries(Object.values(dayEntries(userId, date))));
+  }
+
+  async function getEntriesByDate(userId, dates) {
+    return read(() => {
+      const result = {};
+      dates.forEach(date => {
+        const entries = sortEntries(Object.values(dayEntries(userId, date)));
+        if (entries.length > 0) {
+          result[date] = entries;
+        }
+      });
+      return result;
+    });
+  }
+
+  async function getEntry(userId, date, entryId) {
+    return read(() => dayEntries(userId, date)[entryId]);
+  }
+
+  async function updateEntry(userId, date, entryId, updates) {
+    return write(() => {
+      const existing = dayEntries(userId, date)[entryId];
+      if (!existing) return null;
+
+      const updated = { ...existing, ...clone(updates), id: entryId };
+      state.entries[userId][date][entryId] = updated;
+      return updated;
+    });
+  }
+
+  async function removeEntry(userId, date, entryId) {
+    return write(() => {
+      const existing = dayEntries(userId, date)[entryId];
+      if (!existing) return null;
+
+      delete state.entries[userId][date][entryId];
+      if (Object.keys(state.entries[userId][date]).length === 0) {
+        delete state.entries[userId][date];
+      }
+      return existing;
+    });
+  }
+
+  async function getDays(userId) {
+    return read(() => Object.keys(state.entries[userId] || {}).sort());
+  }
+
+  async function getEntryUserIds() {
+    return read(() => Object.keys(state.entries));
+  }
+
+  async function countEntries(userId, date) {
+    reload();
+    return Object.keys(dayEntries(userId, date)).length;
+  }
+
+  async function clearNutritionData() {
+    return write(() => {
+      const count = Object.keys(state.entries).length + Object.keys(state.associations).length;
+      state.entries = {};
+      state.associations = {};
+      return count;
+    });
+  }
+
+  // --- Per-user records (profiles, goals, settings) ---
+
+  function createUserRecords(name) {
+    return {
+      async get(userId) {
+        return read(() => state[name][userId]);
+      },
+      async getAll() {
+        return read(() => state[name]);
+      },
+      async set(userId, value) {
+        return write(() => {
+          state[name][userId] = clone(value);
+          return value;
+        });
+      },
+      async count() {
+        reload();
+        return Object.keys(state[name]).length;
+      }
+    };
+  }
+
+  const profiles = createUserRecords('profiles');
+  const goals = createUserRecords('goals');
+  const settings = createUserRecords('settings');
+
+  async function updateUserSettings(userId, updates) {
+    return write(() => {
+      state.settings[userId] = { ...(state.settings[userId] || {}), ...clone(updates) };
+      return state.settings[userId];
+    });
+  }
+
+  async function getDefaultGoals() {
+    return read(() => state.defaultGoals);
+  }
+
+  // --- Encryption key check (see identity.js) ---
+
+  async function getKeyFingerprint() {
+    return read(() => state.keyFingerprint);
+  }
+
+  async function setKeyFingerprint(fingerprint) {
+    write(() => {
+      state.keyFingerprint = fingerprint;
+    });
+  }
+
+  // --- Cache (kept in memory only) ---
+
+  async function getCache(key) {
+    const cached = cache.get(key);
+    if (!cached || cached.expiresAt < Date.now()) {
+      cache.delete(key);
+      return null;
+    }
+    return clone(cached.value);
+  }
+
+  async function setCache(key, value, ttlSeconds) {
+    cache.set(key, { value: clone(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async function deleteCache(key) {
+    cache.delete(key);
+  }
+
+  // --- Message associations ---
+
+  async function saveAssociation(chatId, messageId, association) {
+    write(() => {
+      state.associations[`${chatId}:${messageId}`] = clone(association);
+    });
+  }
+
+  async function getAssociation(chatId, messageId) {
+    return read(() => state.associations[`${chatId}:${messageId}`]);
+  }
+
+  async function deleteAssociation(chatId, messageId) {
+    write(() => {
+      delete state.associations[`${chatId}:${messageId}`];
+    });
+  }
+
+  // --- Conversations (saved with the file so they survive restarts) ---
+
+  async function saveConversation(chatId, userId, conversation, ttlSeconds) {
+    write(() => {
+      state.conversations[`${chatId}:${userId}`] = {
+        conversation: clone(conversation),
+        expiresAt: Date.now() + ttlSeconds * 1000
+      };
+    });
+  }
+
+  async function getConversation(chatId, userId) {
+    return read(() => {
+      const saved = state.conversations[`${chatId}:${userId}`];
+      return saved && saved.expiresAt >= Date.now() ? saved.conversation : null;
+    });
+  }
+
+  async function deleteConversation(chatId, userId) {
+    write(() => {
+      delete state.conversations[`${chatId}:${userId}`];
+    });
+  }
+
+  // --- Change log (for /undo) ---
+
+  function userChanges(userId) {
+    const log = state.changes[userId];
+    return log && log.expiresAt >= Date.now() ? log.changes : [];
+  }
+
+  async function pushChange(userId, change, limit, ttlSeconds) {
+    write(() => {
+      state.changes[userId] = {
+        changes: [clone(change), ...userChanges(userId)].slice(0, limit),
+        expiresAt: Date.now() + ttlSeconds * 1000
+      };
+    });
+  }
+
+  async function getLastChange(userId) {
+    return read(() => userChanges(userId)[0]);
+  }
+
+  async function popChange(userId) {
+    return write(() => {
+      const [change, ...rest] = userChanges(userId);
+      if (state.changes[userId]) {
+        state.changes[userId].changes = rest;
+      }
+      return change;
+    });
+  }
+
+  // --- Claude usage ---
+
+  async function addUsage(date, userId, usage, ttlSeconds) {
+    write(() => {
+      const day = state.usage[date] || { users: {} };
+      const counters = day.users[userId] || { requests: 0, inputTokens: 0, outputTokens: 0, costMicros: 0 };
+      Object.keys(counters).forEach(counter => {
+        counters[counter] += usage[counter] || 0;
+      });
+      day.users[userId] = counters;
+      day.expiresAt = Date.now() + ttlSeconds * 1000;
+      state.usage[date] = day;
+    });
+  }
+
+  async function getUsage(date) {
+    return read(() => {
+      const day = state.usage[date];
+      return day && day.expiresAt >= Date.now() ? day.users : {};
+    });
+  }
+
+  // --- Deleting a user ---
+
+  async function deleteUserData(userId) {
+    const id = userId.toString();
+    return write(() => {
+      const days = Object.values(state.entries[id] || {});
+      const result = {
+        entries: days.reduce((count, day) => count + Object.keys(day).length, 0),
+        days: days.length,
+        associations: 0
+      };
+
+      Object.entries(state.associations).forEach(([key, association]) => {
+        if (association && String(association.userId) === id) {
+          delete state.associations[key];
+          result.associations++;
+        }
+      });
+      // Conversations are keyed "chatId:userId", where chat IDs never contain a colon
+      Object.keys(state.conversations).forEach(key => {
+        if (key.slice(key.indexOf(':') + 1) === id) {
+          delete state.conversations[key];
+        }
+      });
+      Object.values(state.usage).forEach(day => {
+        delete day.users[id];
+      });
+      ['entries', 'profiles', 'goals', 'settings', 'changes'].forEach(name => {
+        delete state[name][id];
+      });
+      cache.delete(`import:${id}`);
+
+      return result;
+    });
+  }
+
+  // Nothing to migrate: this backend never used the old blob layout
+  async function migrateLegacyData() {
+    return false;
+  }
+
+  return {
+    backend: file ? 'file' : 'memory',
+    connect,
+    ping,
+    addEntry,
+    getEntries,
+    getEntriesByDate,
+    getEntry,
+    updateEntry,
+    removeEntry,
+    getDays,
+    getEntryUserIds,
+    countEntries,
+    clearNutritionData,
+    getUserProfile: profiles.get,
+    getAllUserProfiles: profiles.getAll,
+    saveUserProfile: profiles.set,
+    countUserProfiles: profiles.count,
+    getUserGoals: goals.get,
+    getAllUserGoals: goals.getAll,
+    saveUserGoals: goals.set,
+    countUserGoals: goals.count,
+    getUserSettings: settings.get,
+    getAllUserSettings: settings.getAll,
+    updateUserSettings,
+    getDefaultGoals,
+    getKeyFingerprint,
+    setKeyFingerprint,
+    getCache,
+    setCache,
+    deleteCache,
+    saveAssociation,
+    getAssociation,
+    deleteAssociation,
+    saveConversation,
+    getConversation,
+    deleteConversation,
+    pushChange,
+    getLastChange,
+    popChange,
+    addUsage,
+    getUsage,
+    deleteUserData,
+    migrateLegacyData
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,528 @@
+// Redis storage backend (the default in production). See storage/index.js for the interface.
+//
+// Every record lives under its own key or hash field, so writes touch only the
+// user (and day) they belong to instead of rewriting one big JSON blob:
+//
+//   nutrition:users                    set of user IDs that have logged food
+//   nutrition:{userId}:days            set of YYYY-MM-DD dates with entries
+//   nutrition:{userId}:{date}          hash of entry ID -> entry JSON
+//   users:profiles                     hash of user ID -> profile JSON (names encrypted)
+//   users:goals                        hash of user ID -> goals JSON
+//   users:settings                     hash of user ID -> settings JSON
+//   association:{chatId}:{messageId}   bot reply -> { userId, entryId, date, ... } JSON
+//   conversation:{chatId}:{userId}     in-progress multi-step flow (expires)
+//   changes:{userId}                   list of recent changes for /undo, newest first (expires)
+//   goals                              global default goals JSON
+//   encryption:fingerprint             fingerprint of the ENCRYPTION_KEY names are stored with
+//   cache:{key}                        short-lived cached values (e.g. the leaderboard)
+//   usage:{date}                       hash of "{userId}:{counter}" -> Claude requests, tokens and cost that day (expires)
+//   legacy:*                           the pre-migration blobs, kept as a backup
+//
+// Data written before this layout used single blob keys (nutrition_data, users,
+// user_goals, user_settings, message_associations); migrateLegacyData() moves them
+// over once and keeps the originals under legacy:*.
+const crypto = require('crypto');
+const redis = require('redis');
+
+const STORAGE_VERSION = 2;
+const LEGACY_KEYS = ['nutrition_data', 'users', 'user_goals', 'user_settings', 'message_associations'];
+const USAGE_COUNTERS = ['requests', 'inputTokens', 'outputTokens', 'costMicros'];
+
+const keys = {
+  entryUsers: () => 'nutrition:users',
+  days: (userId) => `nutrition:${userId}:days`,
+  entries: (userId, date) => `nutrition:${userId}:${date}`,
+  profiles: () => 'users:profiles',
+  goals: () => 'users:goals',
+  settings: () => 'users:settings',
+  association: (chatId, messageId) => `association:${chatId}:${messageId}`,
+  conversation: (chatId, userId) => `conversation:${chatId}:${userId}`,
+  changes: (userId) => `changes:${userId}`,
+  defaultGoals: () => 'goals',
+  keyFingerprint: () => 'encryption:fingerprint',
+  cache: (key) => `cache:${key}`,
+  usage: (date) => `usage:${date}`,
+  version: () => 'storage:version',
+  migrationLock: () => 'storage:migration_lock'
+};
+
+// Parse a JSON value, treating missing or corrupt values as absent
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Parse every value of a Redis hash reply
+function parseHash(hash) {
+  const result = {};
+  Object.entries(hash || {}).forEach(([field, value]) => {
+    const parsed = parseJson(value);
+    if (parsed !== null) {
+      result[field] = parsed;
+    }
+  });
+  return result;
+}
+
+// Entries are stored unordered in a hash; show them in the order they were logged
+function sortEntries(entries) {
+  return entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+}
+
+function createRedisStorage({ url }) {
+  const client = redis.createClient({ url });
+  client.on('error', (err) => console.error('Redis Client Error', err));
+
+  // Connect, then move any data still in the old single-blob keys
+  async function connect() {
+    await client.connect();
+    await migrateLegacyData();
+  }
+
+  async function ping() {
+    return client.ping();
+  }
+
+  // --- Food entries ---
+
+  // Append an entry to a user's day. The entry must already have an id.
+  async function addEntry(userId, date, entry) {
+    await client.multi()
+      .hSet(keys.entries(userId, date), entry.id, JSON.stringify(entry))
+      .sAdd(keys.days(userId), date)
+      .sAdd(keys.entryUsers(), userId.toString())
+      .exec();
+    return entry;
+  }
+
+  // All entries for one day, oldest first
+  async function getEntries(userId, date) {
+    const hash = await client.hGetAll(keys.entries(userId, date));
+    return sortEntries(Object.values(parseHash(hash)));
+  }
+
+  // Entries for several days at once, as { date: [entries] } (days without entries are left out)
+  async function getEntriesByDate(userId, dates) {
+    if (dates.length === 0) return {};
+
+    const pipeline = client.multi();
+    dates.forEach(date => pipeline.hGetAll(keys.entries(userId, date)));
+    const replies = await pipeline.execAsPipeline();
+
+    const result = {};
+    dates.forEach((date, index) => {
+      const entries = sortEntries(Object.values(parseHash(replies[index])));
+      if (entries.length > 0) {
+        result[date] = entries;
+      }
+    });
+    return result;
+  }
+
+  async function getEntry(userId, date, entryId) {
+    return parseJson(await client.hGet(keys.entries(userId, date), entryId));
+  }
+
+  // Merge updates into an entry. Returns the updated entry, or null if it no longer exists.
+  async function updateEntry(userId, date, entryId, updates) {
+    const existing = await getEntry(userId, date, entryId);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...updates, id: entryId };
+    await client.hSet(keys.entries(userId, date), entryId, JSON.stringify(updated));
+    return updated;
+  }
+
+  // Remove an entry. Returns the removed entry, or null if it was already gone.
+  async function removeEntry(userId, date, entryId) {
+    const existing = await getEntry(userId, date, entryId);
+    const removed = await client.hDel(keys.entries(userId, date), entryId);
+    if (!removed) return null;
+
+    // Drop the day from the index once its last entry is gone
+    if (await client.hLen(keys.entries(userId, date)) === 0) {
+      await client.sRem(keys.days(userId), date);
+    }
+
+    return existing;
+  }
+
+  // Dates with entries for a user, oldest first
+  async function getDays(userId) {
+    const days = await client.sMembers(keys.days(userId));
+    return days.sort();
+  }
+
+  // IDs of every user who has logged food
+  async function getEntryUserIds() {
+    return client.sMembers(keys.entryUsers());
+  }
+
+  async function countEntries(userId, date) {
+    return client.hLen(keys.entries(userId, date));
+  }
+
+  // Delete every food entry and message association (used to reset the leaderboard)
+  async function clearNutritionData() {
+    let deleted = 0;
+    for (const pattern of ['nutrition:*', 'association:*']) {
+      for await (const batch of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        const batchKeys = [].concat(batch);
+        if (batchKeys.length > 0) {
+          deleted += await client.del(batchKeys);
+        }
+      }
+    }
+    return deleted;
+  }
+
+  // --- Per-user records (profiles, goals, settings) ---
+
+  function createUserHash(key) {
+    return {
+      async get(userId) {
+        return parseJson(await client.hGet(key(), userId.toString()));
+      },
+      async getAll() {
+        return parseHash(await client.hGetAll(key()));
+      },
+      async set(userId, value) {
+        await client.hSet(key(), userId.toString(), JSON.stringify(value));
+        return value;
+      },
+      async count() {
+        return client.hLen(key());
+      }
+    };
+  }
+
+  const profiles = createUserHash(keys.profiles);
+  const goals = createUserHash(keys.goals);
+  const settings = createUserHash(keys.settings);
+
+  // Merge updates into a user's settings
+  async function updateUserSettings(userId, updates) {
+    const current = await settings.get(userId) || {};
+    return settings.set(userId, { ...current, ...updates });
+  }
+
+  async function getDefaultGoals() {
+    return parseJson(await client.get(keys.defaultGoals()));
+  }
+
+  // --- Encryption key check (see identity.js) ---
+
+  async function getKeyFingerprint() {
+    return client.get(keys.keyFingerprint());
+  }
+
+  async function setKeyFingerprint(fingerprint) {
+    await client.set(keys.keyFingerprint(), fingerprint);
+  }
+
+  // --- Cache ---
+
+  async function getCache(key) {
+    return parseJson(await client.get(keys.cache(key)));
+  }
+
+  async function setCache(key, value, ttlSeconds) {
+    await client.set(keys.cache(key), JSON.stringify(value), { EX: ttlSeconds });
+  }
+
+  async function deleteCache(key) {
+    await client.del(keys.cache(key));
+  }
+
+  // --- Message associations ---
+
+  async function saveAssociation(chatId, messageId, association) {
+    await client.set(keys.association(chatId, messageId), JSON.stringify(association));
+  }
+
+  async function getAssociation(chatId, messageId) {
+    return parseJson(await client.get(keys.association(chatId, messageId)));
+  }
+
+  async function deleteAssociation(chatId, messageId) {
+    await client.del(keys.association(chatId, messageId));
+  }
+
+  // --- Conversations ---
+
+  async function saveConversation(chatId, userId, conversation, ttlSeconds) {
+    await client.set(keys.conversation(chatId, userId), JSON.stringify(conversation), { EX: ttlSeconds });
+  }
+
+  async function getConversation(chatId, userId) {
+    return parseJson(await client.get(keys.conversation(chatId, userId)));
+  }
+
+  async function deleteConversation(chatId, userId) {
+    await client.del(keys.conversation(chatId, userId));
+  }
+
+  // --- Change log (for /undo) ---
+
+  // Add a change to the front of a user's log, keeping only the newest `limit`
+  async function pushChange(userId, change, limit, ttlSeconds) {
+    await client.multi()
+      .lPush(keys.changes(userId), JSON.stringify(change))
+      .lTrim(keys.changes(userId), 0, limit - 1)
+      .expire(keys.changes(userId), ttlSeconds)
+      .exec();
+  }
+
+  async function getLastChange(userId) {
+    return parseJson(await client.lIndex(keys.changes(userId), 0));
+  }
+
+  async function popChange(userId) {
+    return parseJson(await client.lPop(keys.changes(userId)));
+  }
+
+  // --- Claude usage ---
+
+  // Add to a user's usage counters for a day ({ requests, inputTokens, outputTokens, costMicros })
+  async function addUsage(date, userId, usage, ttlSeconds) {
+    const pipeline = client.multi();
+    USAGE_COUNTERS.filter(counter => usage[counter]).forEach(counter => {
+      pipeline.hIncrBy(keys.usage(date), `${userId}:${counter}`, usage[counter]);
+    });
+    await pipeline.expire(keys.usage(date), ttlSeconds).exec();
+  }
+
+  // Every user's usage counters for a day, keyed by user ID
+  async function getUsage(date) {
+    const result = {};
+    Object.entries(await client.hGetAll(keys.usage(date))).forEach(([field, value]) => {
+      // User IDs of signed channel posts contain colons, counter names don't
+      const separator = field.lastIndexOf(':');
+      const userId = field.slice(0, separator);
+      result[userId] = result[userId] || Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]));
+      result[userId][field.slice(separator + 1)] = Number(value);
+    });
+    return result;
+  }
+
+  // --- Deleting a user ---
+
+  // Delete everything stored about one user: entries, message associations, profile, goals,
+  // settings, conversations, the /undo log, Claude usage and their records in the legacy:* backups.
+  // Returns how many entries, days and associations were removed.
+  async function deleteUserData(userId) {
+    const id = userId.toString();
+    const days = await getDays(id);
+    let entries = 0;
+    for (const date of days) {
+      entries += await client.hLen(keys.entries(id, date));
+    }
+
+    // Associations and conversations are keyed by chat, so the user's are found by scanning
+    const associationKeys = [];
+    for await (const batch of client.scanIterator({ MATCH: 'association:*', COUNT: 100 })) {
+      for (const key of [].concat(batch)) {
+        const association = parseJson(await client.get(key));
+        if (association && String(association.userId) === id) {
+          associationKeys.push(key);
+        }
+      }
+    }
+    // conversation:{chatId}:{userId}, where chat IDs never contain a colon
+    const conversationKeys = [];
+    for await (const batch of client.scanIterator({ MATCH: 'conversation:*', COUNT: 100 })) {
+      conversationKeys.push(...[].concat(batch).filter(key => key.split(':').slice(2).join(':') === id));
+    }
+
+    const usageKeys = [];
+    for await (const batch of client.scanIterator({ MATCH: 'usage:*', COUNT: 100 })) {
+      usageKeys.push(...[].concat(batch));
+    }
+
+    const pipeline = client.multi();
+    usageKeys.forEach(key => pipeline.hDel(key, USAGE_COUNTERS.map(counter => `${id}:${counter}`)));
+    await pipeline
+      .del([keys.days(id), keys.changes(id), keys.cache(`import:${id}`),
+        ...days.map(date => keys.entries(id, date)), ...associationKeys, ...conversationKeys])
+      .sRem(keys.entryUsers(), id)
+      .hDel(keys.profiles(), id)
+      .hDel(keys.goals(), id)
+      .hDel(keys.settings(), id)
+      .exec();
+
+    // The pre-migration backups hold a copy of the user's old data too
+    for (const legacyKey of LEGACY_KEYS) {
+      const blob = parseJson(await client.get(`legacy:${legacyKey}`));
+      if (!blob) continue;
+
+      // Old associations are keyed by message ID and name their owner inside
+      const belongsToUser = ([field, value]) => (legacyKey === 'message_associations'
+        ? String(value && (value.userId || value.chatId)) === id
+        : field === id);
+      const kept = Object.fromEntries(Object.entries(blob).filter(item => !belongsToUser(item)));
+      if (Object.keys(kept).length !== Object.keys(blob).length) {
+        await client.set(`legacy:${legacyKey}`, JSON.stringify(kept));
+      }
+    }
+
+    return { entries, days: days.length, associations: associationKeys.length };
+  }
+
+  // --- Migration from the single-blob layout ---
+
+  // Move the legacy blob keys into the per-user layout. Safe to call on every start:
+  // it does nothing once storage:version is set, and a lock stops the bot and the
+  // dashboard from migrating at the same time.
+  async function migrateLegacyData() {
+    const version = parseInt(await client.get(keys.version()), 10) || 0;
+    if (version >= STORAGE_VERSION) return false;
+
+    const locked = await client.set(keys.migrationLock(), process.pid.toString(), { NX: true, EX: 300 });
+    if (!locked) return false;
+
+    try {
+      const legacy = {};
+      for (const key of LEGACY_KEYS) {
+        legacy[key] = parseJson(await client.get(key)) || {};
+      }
+
+      // Food entries: give every entry an ID and index its day and owner. The IDs are
+      // derived from the entry's place in the blob, so a migration retried after a crash
+      // overwrites what the first attempt wrote instead of adding copies.
+      const nutrition = legacy.nutrition_data;
+      let entryCount = 0;
+      for (const [userId, days] of Object.entries(nutrition)) {
+        for (const [date, entries] of Object.entries(days || {})) {
+          for (const [index, entry] of (entries || []).entries()) {
+            entry.id = entry.id || legacyEntryId(userId, date, index, entry);
+            await addEntry(userId, date, entry);
+            entryCount++;
+          }
+        }
+      }
+
+      for (const [userId, profile] of Object.entries(legacy.users)) {
+        await profiles.set(userId, profile);
+      }
+      for (const [userId, userGoals] of Object.entries(legacy.user_goals)) {
+        await goals.set(userId, userGoals);
+      }
+      for (const [userId, userSettings] of Object.entries(legacy.user_settings)) {
+        await settings.set(userId, userSettings);
+      }
+
+      // Associations were keyed by message ID alone and (before entry IDs) matched
+      // entries by content, so resolve each one to its entry now
+      let associationCount = 0;
+      for (const [messageId, association] of Object.entries(legacy.message_associations)) {
+        const ownerId = association.userId || association.chatId;
+        const resolved = association.entryId && association.date
+          ? association
+          : resolveLegacyAssociation(nutrition[ownerId], association);
+        if (!resolved) continue;
+
+        await saveAssociation(association.chatId, messageId, {
+          ...association,
+          userId: ownerId,
+          entryId: resolved.entryId,
+          date: resolved.date
+        });
+        associationCount++;
+      }
+
+      // Keep the old blobs around as a backup rather than deleting them
+      for (const key of LEGACY_KEYS) {
+        if (await client.exists(key)) {
+          await client.rename(key, `legacy:${key}`);
+        }
+      }
+
+      await client.set(keys.version(), STORAGE_VERSION.toString());
+      console.log(`✅ Migrated legacy storage: ${entryCount} entries, ${associationCount} message associations`);
+      return true;
+    } finally {
+      await client.del(keys.migrationLock());
+    }
+  }
+
+  return {
+    backend: 'redis',
+    connect,
+    ping,
+    addEntry,
+    getEntries,
+    getEntriesByDate,
+    getEntry,
+    updateEntry,
+    removeEntry,
+    getDays,
+    getEntryUserIds,
+    countEntries,
+    clearNutritionData,
+    getUserProfile: profiles.get,
+    getAllUserProfiles: profiles.getAll,
+    saveUserProfile: profiles.set,
+    countUserProfiles: profiles.count,
+    getUserGoals: goals.get,
+    getAllUserGoals: goals.getAll,
+    saveUserGoals: goals.set,
+    countUserGoals: goals.count,
+    getUserSettings: settings.get,
+    getAllUserSettings: settings.getAll,
+    updateUserSettings,
+    getDefaultGoals,
+    getKeyFingerprint,
+    setKeyFingerprint,
+    getCache,
+    setCache,
+    deleteCache,
+    saveAssociation,
+    getAssociation,
+    deleteAssociation,
+    saveConversation,
+    getConversation,
+    deleteConversation,
+    pushChange,
+    getLastChange,
+    popChange,
+    addUsage,
+    getUsage,
+    deleteUserData,
+    migrateLegacyData
+  };
+}
+
+// A UUID-shaped ID for a legacy entry that has none, the same on every run
+function legacyEntryId(userId, date, index, entry) {
+  const hex = crypto.createHash('sha256')
+    .update(`${userId}:${date}:${index}:${entry.timestamp || ''}`)
+    .digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+}
+
+// Find the entry a pre-ID association pointed at: same food and macros, most recent day first
+function resolveLegacyAssociation(userDays, association) {
+  const original = association.nutritionData || {};
+  const dates = Object.keys(userDays || {}).sort().reverse();
+
+  for (const date of dates) {
+    const entry = (userDays[date] || []).find(candidate =>
+      candidate.food_name === original.food_name &&
+      candidate.calories === original.calories &&
+      candidate.protein === original.protein &&
+      candidate.carbs === original.carbs &&
+      candidate.fat === original.fat
+    );
+    if (entry) {
+      return { entryId: entry.id, date };
+    }
+  }
+
+  return null;
+}
+
+module.exports = { createRedisStorage, legacyEntryId };
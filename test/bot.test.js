@@ -0,0 +1,389 @@
+// The bot's handlers, driven through a fake Telegram bot with a queued Claude API and
+// in-memory storage (see helpers.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, privateMessage, channelPost, replyTo, CHANNEL_ID, DEVELOPER_ID } = require('./helpers');
+
+const SALAD = { food_name: 'Salad', calories: 120, protein: 4, carbs: 10, fat: 7, fiber: 3, hydration: 150, serving_size: '1 bowl', confidence: 'high' };
+const SALAD_MEAL = { food_name: 'Salad', components: [SALAD], serving_size: '1 bowl', confidence: 'high' };
+
+// The reply carrying the analysis of a logged entry (it has the ✅/✏️/🗑 buttons)
+function analysisMessages(bot) {
+  return bot.messages().filter(call => call.options.reply_markup && JSON.stringify(call.options.reply_markup).includes('entry:remove'));
+}
+
+test('/log uses the local food database for simple descriptions', async () => {
+  const { bot, storage, anthropic, users } = await createTestBot();
+
+  await bot.receive(privateMessage('/log 2 eggs and toast'));
+
+  assert.equal(anthropic.requests.length, 0);
+  assert.equal(analysisMessages(bot).length, 2);
+  const entries = await storage.getEntries(1, await users.getUserToday(1));
+  assert.deepEqual(entries.map(entry => entry.food_name), ['Eggs', 'Toast']);
+});
+
+test('/log asks Claude when the database doesn\'t know the food', async () => {
+  const { bot, storage, anthropic, users } = await createTestBot();
+  anthropic.queue({ items: [SALAD] });
+
+  await bot.receive(privateMessage('/log a bowl of grandma\'s special salad'));
+
+  assert.equal(anthropic.requests.length, 1);
+  const [analysis] = analysisMessages(bot);
+  assert.match(analysis.text, /\*\*Salad\*\*/);
+  assert.match(analysis.text, /Calories: 120\/2000 kcal/);
+  assert.equal((await storage.getEntries(1, await users.getUserToday(1))).length, 1);
+});
+
+test('a photo is downloaded, analyzed and logged under the sender', async () => {
+  const { bot, storage, anthropic, users } = await createTestBot({ files: { 'photo-big': Buffer.from('jpeg') } });
+  anthropic.queue(SALAD_MEAL);
+
+  await bot.receive(privateMessage(null, {
+    userId: 7,
+    caption: 'dinner',
+    photo: [{ file_id: 'photo-small' }, { file_id: 'photo-big' }]
+  }));
+
+  const [image] = anthropic.requests[0].messages[0].content;
+  assert.equal(image.source.data, Buffer.from('jpeg').toString('base64'));
+  const [entry] = await storage.getEntries(7, await users.getUserToday(7));
+  assert.equal(entry.food_name, 'Salad');
+  assert.equal(entry.chatId, 7);
+
+  const [analysis] = analysisMessages(bot);
+  const association = await storage.getAssociation(7, analysis.message.message_id);
+  assert.equal(association.entryId, entry.id);
+  assert.equal(association.photoFileId, 'photo-big');
+});
+
+test('messages from chats other than the configured one are ignored', async () => {
+  const { bot } = await createTestBot();
+
+  await bot.receive({ ...privateMessage('/summary'), chat: { id: -555, type: 'group' } });
+  assert.equal(bot.sent.length, 0);
+
+  await bot.receive({ ...privateMessage('/summary'), chat: { id: CHANNEL_ID, type: 'supergroup' } });
+  assert.equal(bot.lastMessage().text, '📭 No food entries recorded today.');
+});
+
+test('replying to an analysis corrects the entry and updates the message', async () => {
+  const { bot, storage, anthropic, users } = await createTestBot();
+  anthropic.queue({ items: [SALAD] });
+  await bot.receive(privateMessage('/log special salad'));
+  const [analysis] = analysisMessages(bot);
+
+  await bot.receive(replyTo(analysis.message, 'x2'));
+
+  const [entry] = await storage.getEntries(1, await users.getUserToday(1));
+  assert.equal(entry.calories, 240);
+  assert.equal(entry.confidence, 'manually corrected');
+  assert.match(bot.lastMessage().text, /Analysis updated!/);
+  assert.match(bot.lastMessage().text, /Calories: 120 → 240 kcal/);
+
+  const [edit] = bot.messages('editMessageText');
+  assert.equal(edit.options.message_id, analysis.message.message_id);
+  assert.match(edit.text, /Calories: 240\/2000 kcal/);
+});
+
+test('a numbered reply changes one item of a meal', async () => {
+  const { bot, storage, anthropic, users } = await createTestBot({ files: { photo: Buffer.from('jpeg') } });
+  anthropic.queue({
+    food_name: 'Rice and chicken',
+    components: [
+      { food_name: 'Rice', calories: 250, protein: 5, carbs: 55, fat: 1, fiber: 1, hydration: 80, serving_size: '1 cup' },
+      { food_name: 'Chicken', calories: 200, protein: 30, carbs: 0, fat: 8, fiber: 0, hydration: 60, serving_size: '100g' }
+    ],
+    serving_size: '1 plate',
+    confidence: 'medium'
+  });
+  await bot.receive(privateMessage(null, { photo: [{ file_id: 'photo' }] }));
+  const [analysis] = analysisMessages(bot);
+
+  await bot.receive(replyTo(analysis.message, '1 remove'));
+
+  const [entry] = await storage.getEntries(1, await users.getUserToday(1));
+  assert.deepEqual(entry.components.map(component => component.food_name), ['Chicken']);
+  assert.equal(entry.calories, 200);
+  assert.equal(bot.lastMessage().text, '✅ Removed item 1: Rice');
+});
+
+test('a "remove" reply deletes the entry and /undo brings it back', async () => {
+  const { bot, storage, users } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs'));
+  const [analysis] = analysisMessages(bot);
+  const today = await users.getUserToday(1);
+
+  await bot.receive(replyTo(analysis.message, 'remove'));
+  assert.equal((await storage.getEntries(1, today)).length, 0);
+  assert.match(bot.lastMessage().text, /Removed: Eggs/);
+
+  await bot.receive(privateMessage('/undo'));
+  assert.equal(bot.lastMessage().text, '↩️ Restored: Eggs');
+  assert.equal((await storage.getEntries(1, today)).length, 1);
+  assert.ok(await storage.getAssociation(1, analysis.message.message_id));
+
+  await bot.receive(privateMessage('/undo'));
+  assert.equal(bot.lastMessage().text, 'ℹ️ Nothing to undo.');
+});
+
+test('only the person who logged an entry can use its buttons', async () => {
+  const { bot, storage, users } = await createTestBot();
+  await bot.receive({ ...privateMessage('/log 2 eggs'), chat: { id: CHANNEL_ID, type: 'supergroup' } });
+  const [analysis] = analysisMessages(bot);
+
+  await bot.press(analysis.message, 'entry:remove', { id: 2, first_name: 'Bob' });
+  const [answer] = bot.messages('answerCallbackQuery');
+  assert.equal(answer.options.text, 'Only the person who logged this can change it.');
+  assert.equal((await storage.getEntries(1, await users.getUserToday(1))).length, 1);
+
+  await bot.press(analysis.message, 'entry:remove', { id: 1, first_name: 'Alice' });
+  assert.equal((await storage.getEntries(1, await users.getUserToday(1))).length, 0);
+});
+
+test('/goals with manual entry saves the user\'s own goals', async () => {
+  const { bot, users } = await createTestBot();
+
+  await bot.receive(privateMessage('/goals'));
+  assert.match(bot.lastMessage().text, /Set Nutrition Goals/);
+
+  await bot.receive(privateMessage('manual'));
+  for (const answer of ['1800, 120, 200, 60', '1800, abc, 120, 200, 60, 30, 2500', '1800, 120.5, 200, 60, 30, 2500', '1800, 0, 200, 60, 30, 2500', '1800, -5, 200, 60, 30, 2500']) {
+    await bot.receive(privateMessage(answer));
+    assert.match(bot.lastMessage().text, /Invalid format/, answer);
+  }
+  assert.equal((await users.loadGoals(1)).protein, 150);
+
+  await bot.receive(privateMessage('1800, 120, 200, 60, 30, 2500'));
+  assert.match(bot.lastMessage().text, /Nutrition goals updated!/);
+
+  assert.deepEqual(await users.loadGoals(1), { calories: 1800, protein: 120, carbs: 200, fat: 60, fiber: 30, hydration: 2500 });
+  assert.equal((await users.loadGoals(2)).calories, 2000);
+});
+
+test('/goals posted in the channel takes button taps from the channel\'s admins', async () => {
+  const { bot, users } = await createTestBot();
+
+  await bot.receive(channelPost('/goals', { signature: 'Julia' }));
+  const prompt = bot.lastMessage(CHANNEL_ID);
+  assert.match(prompt.text, /Set Nutrition Goals/);
+
+  await bot.press(prompt.message, 'conv:choice:manual', { id: 77, first_name: 'Julia' });
+  assert.equal(bot.messages('answerCallbackQuery').some(call => /isn't waiting/.test(call.options.text || '')), false);
+  assert.match(bot.lastMessage(CHANNEL_ID).text, /Manual Goal Entry/);
+
+  await bot.receive(channelPost('1800, 120, 200, 60, 30, 2500', { signature: 'Julia' }));
+  assert.match(bot.lastMessage(CHANNEL_ID).text, /Nutrition goals updated!/);
+  assert.equal((await users.loadGoals(`${CHANNEL_ID}:Julia`)).calories, 1800);
+});
+
+test('a private /goals prompt only takes taps from its own user', async () => {
+  const { bot } = await createTestBot();
+  await bot.receive(privateMessage('/goals'));
+  const prompt = bot.lastMessage(1);
+
+  await bot.press(prompt.message, 'conv:choice:manual', { id: 2, first_name: 'Bobby' });
+  assert.match(bot.messages('answerCallbackQuery').pop().options.text, /isn't waiting for your answer/);
+
+  await bot.press(prompt.message, 'conv:choice:manual', { id: 1, first_name: 'Alice' });
+  assert.match(bot.lastMessage(1).text, /Manual Goal Entry/);
+});
+
+test('/goals with the AI questionnaire saves Claude\'s goals', async () => {
+  const { bot, anthropic, users } = await createTestBot();
+  anthropic.queue({ calories: 2400, protein: 160, carbs: 280, fat: 80, fiber: 30, hydration: 2800 });
+
+  for (const answer of ['/goals', 'ai', '30', '180', '80', 'Asian', 'maintain', 'moderate']) {
+    await bot.receive(privateMessage(answer));
+  }
+
+  assert.match(bot.lastMessage().text, /AI-calculated nutrition goals updated!/);
+  assert.match(anthropic.requests[0].messages[0].content[0].text, /Age: 30 years/);
+  assert.equal((await users.loadGoals(1)).calories, 2400);
+});
+
+test('/erase lists today\'s entries and its buttons remove them', async () => {
+  const { bot, storage, users } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs and toast'));
+
+  await bot.receive(privateMessage('/erase'));
+  const list = bot.lastMessage();
+  assert.match(list.text, /1\. Eggs - 155 kcal/);
+  const buttons = list.options.reply_markup.inline_keyboard.map(([button]) => button.callback_data);
+  assert.equal(buttons.length, 2);
+
+  await bot.press(list.message, buttons[1], { id: 1, first_name: 'Alice' });
+  const entries = await storage.getEntries(1, await users.getUserToday(1));
+  assert.deepEqual(entries.map(entry => entry.food_name), ['Eggs']);
+
+  await bot.receive(privateMessage('/erase 1'));
+  assert.match(bot.lastMessage().text, /Removed: Eggs/);
+  assert.equal((await storage.getEntries(1, await users.getUserToday(1))).length, 0);
+});
+
+test('/leaderboard ranks today\'s users with masked names and leaves out opted-out users', async () => {
+  const { bot, storage, users } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs', { userId: 1, firstName: 'Alice' }));
+  await bot.receive(privateMessage('/log toast', { userId: 2, firstName: 'Bobby' }));
+  await bot.receive(privateMessage('/log butter', { userId: 3, firstName: 'Carol' }));
+  await users.saveUserSettings(3, { leaderboardOptOut: true });
+
+  await bot.receive(privateMessage('/leaderboard'));
+
+  const text = bot.lastMessage().text;
+  assert.match(text, /Nutrition Leaderboard/);
+  assert.match(text, /A\*\*\*e/);
+  assert.match(text, /B\*\*\*y/);
+  assert.doesNotMatch(text, /C\*\*\*l/);
+  assert.match(text, /└─ cal:\d+% prot:/);
+  assert.ok(await storage.getCache('leaderboard'));
+});
+
+test('/summary and /progress answer with an apology when storage fails', async (t) => {
+  const { bot, storage } = await createTestBot();
+  t.mock.method(storage, 'getEntries', () => Promise.reject(new Error('Redis down')));
+  t.mock.method(console, 'error', () => {});
+
+  await bot.receive(privateMessage('/summary'));
+  assert.match(bot.lastMessage().text, /couldn't load today's summary/);
+  await bot.receive(privateMessage('/progress'));
+  assert.match(bot.lastMessage().text, /couldn't load your progress/);
+});
+
+test('/export sends CSV and JSON files in a private chat only', async () => {
+  const { bot } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs'));
+
+  await bot.receive({ ...privateMessage('/export'), chat: { id: CHANNEL_ID, type: 'supergroup' } });
+  assert.match(bot.lastMessage().text, /private chat/);
+  assert.equal(bot.messages('sendDocument').length, 0);
+
+  await bot.receive(privateMessage('/export'));
+  const files = bot.messages('sendDocument');
+  assert.deepEqual(files.map(file => file.fileOptions.contentType.split(';')[0]), ['text/csv', 'application/json']);
+  assert.match(files[0].document.toString(), /Eggs/);
+  assert.equal(bot.lastMessage().text, '📦 Exported 1 entry and your goals.');
+});
+
+test('/import reads a CSV sent after the command', async () => {
+  const csv = 'Date,Food,Calories,Protein (g)\n2026-01-05,Soup,150,5\n2026-01-06,Bread,,\n';
+  const { bot, storage } = await createTestBot({ files: { csv: Buffer.from(csv) } });
+
+  await bot.receive(privateMessage('/import'));
+  await bot.receive(privateMessage(null, { document: { file_id: 'csv', file_name: 'diary.csv', mime_type: 'text/csv', file_size: csv.length } }));
+
+  const [soup] = await storage.getEntries(1, '2026-01-05');
+  assert.equal(soup.food_name, 'Soup');
+  assert.equal(soup.calories, 150);
+  assert.match(bot.lastMessage().text, /Imported 1 entry across 1 day/);
+
+  // Without /import first, a document is left alone
+  bot.sent.length = 0;
+  await bot.receive(privateMessage(null, { document: { file_id: 'csv', file_name: 'diary.csv', mime_type: 'text/csv', file_size: csv.length } }));
+  assert.equal(bot.sent.length, 0);
+});
+
+test('/deleteme removes everything once confirmed', async () => {
+  const { bot, storage, users } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs'));
+  const today = await users.getUserToday(1);
+
+  await bot.receive(privateMessage('/deleteme'));
+  await bot.receive(privateMessage('keep'));
+  assert.equal(bot.lastMessage().text, 'Nothing was deleted.');
+  assert.equal((await storage.getEntries(1, today)).length, 1);
+
+  await bot.receive(privateMessage('/deleteme'));
+  await bot.receive(privateMessage('DELETE'));
+  assert.match(bot.lastMessage().text, /I deleted 1 food entry/);
+  assert.equal((await storage.getEntries(1, today)).length, 0);
+  assert.equal(await storage.getUserProfile(1), null);
+});
+
+test('/rotatekey is for the developer and re-encrypts stored names', async () => {
+  const { bot, storage } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs'));
+  await storage.saveUserProfile(2, { firstName: 'Bob' });
+
+  await bot.receive(privateMessage('/rotatekey'));
+  await bot.receive(channelPost('/rotatekey'));
+  assert.equal(bot.messages('sendMessage', 1).some(call => /Re-encrypted/.test(call.text)), false);
+
+  await bot.receive(privateMessage('/rotatekey', { userId: DEVELOPER_ID }));
+  assert.match(bot.lastMessage(DEVELOPER_ID).text, /1 names in 1 profiles/);
+  assert.match((await storage.getUserProfile(2)).firstName, /^gcm:/);
+});
+
+test('a user over their hourly Claude limit is told when to try again', async () => {
+  const { bot, anthropic } = await createTestBot({ claudeOptions: { userRequestsPerHour: 1 } });
+  anthropic.queue({ items: [SALAD] });
+
+  await bot.receive(privateMessage('/log a bowl of grandma\'s special salad'));
+  await bot.receive(privateMessage('/log a bowl of grandma\'s special salad'));
+
+  assert.equal(anthropic.requests.length, 1);
+  assert.match(bot.lastMessage(1).text, /limit of 1 AI analyses per hour\. Please try again in 60 minutes/);
+});
+
+test('/usage shows the developer today\'s Claude usage by user', async () => {
+  const { bot, anthropic } = await createTestBot();
+  anthropic.queue({ items: [SALAD] });
+  await bot.receive(privateMessage('/log a bowl of grandma\'s special salad'));
+
+  await bot.receive(privateMessage('/usage'));
+  await bot.receive(channelPost('/usage'));
+  assert.equal(bot.messages('sendMessage', 1).some(call => /Claude usage/.test(call.text)), false);
+
+  await bot.receive(privateMessage('/usage', { userId: DEVELOPER_ID }));
+  const { text } = bot.lastMessage(DEVELOPER_ID);
+  assert.match(text, /1 requests/);
+  assert.match(text, /1,000 in \/ 200 out/);
+  assert.match(text, /Alice \(1\): 1 requests/);
+});
+
+test('/discardnames asks for confirmation, then drops names no key can read', async () => {
+  const { bot, storage } = await createTestBot();
+  await storage.saveUserProfile(2, { firstName: 'gcm:0000000000000000:00:00:00', username: 'bobby' });
+
+  await bot.receive(channelPost('/discardnames confirm'));
+  await bot.receive(privateMessage('/discardnames confirm'));
+  assert.equal(bot.messages('sendMessage').some(call => /Removed/.test(call.text)), false);
+
+  await bot.receive(privateMessage('/discardnames', { userId: DEVELOPER_ID }));
+  assert.match(bot.lastMessage(DEVELOPER_ID).text, /Send \/discardnames confirm/);
+  assert.equal((await storage.getUserProfile(2)).firstName.startsWith('gcm:'), true);
+
+  await bot.receive(privateMessage('/discardnames confirm', { userId: DEVELOPER_ID }));
+  assert.match(bot.lastMessage(DEVELOPER_ID).text, /Removed 1 unreadable names from 1 profiles/);
+  assert.deepEqual(await storage.getUserProfile(2), { username: 'bobby' });
+});
+
+test('the daily summary job sends each user their summary at 23:45 local time', async (t) => {
+  const { bot, cron, users } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs'));
+  await users.saveUserSettings(1, { timezone: 'UTC' });
+  bot.sent.length = 0;
+
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(`${await users.getUserToday(1)}T23:50:00Z`) });
+  await cron.runAll('*/15 * * * *');
+
+  assert.match(bot.lastMessage(1).text, /Daily Nutrition Summary/);
+});
+
+test('a storage error for one user doesn\'t stop the others\' daily summaries', async (t) => {
+  const { bot, cron, storage, users } = await createTestBot();
+  await bot.receive(privateMessage('/log 2 eggs'));
+  await bot.receive(privateMessage('/log 2 eggs', { userId: 2, firstName: 'Bobby' }));
+  await users.saveUserSettings(1, { timezone: 'UTC' });
+  await users.saveUserSettings(2, { timezone: 'UTC' });
+  bot.sent.length = 0;
+
+  const getEntries = storage.getEntries;
+  t.mock.method(storage, 'getEntries', (userId, date) => String(userId) === '1' ? Promise.reject(new Error('Redis down')) : getEntries(userId, date));
+  t.mock.method(console, 'error', () => {});
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(`${await users.getUserToday(2)}T23:50:00Z`) });
+  await cron.runAll('*/15 * * * *');
+
+  assert.match(bot.lastMessage(2).text, /Daily Nutrition Summary/);
+});
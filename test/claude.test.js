@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CLAUDE_DEFAULTS, claudeOptionsFromEnv, createClaudeClient } = require('../claude');
+const { createFakeAnthropic } = require('./helpers');
+
+const [PRIMARY, FALLBACK] = CLAUDE_DEFAULTS.models;
+const BANANA = { food_name: 'Banana', calories: 105, protein: 1.3, carbs: 27, fat: 0.4, fiber: 3.1, hydration: 89, serving_size: '1 medium', confidence: 'high' };
+const GOALS = { calories: 2000, protein: 120, carbs: 220, fat: 70, fiber: 30, hydration: 2500 };
+
+// An API error as the SDK throws it
+function apiError(status, retryAfter = null) {
+  const error = new Error(`${status} error`);
+  error.status = status;
+  error.headers = new Headers(retryAfter ? { 'retry-after': String(retryAfter) } : {});
+  return error;
+}
+
+// A client whose backoff waits are recorded instead of slept
+function createTestClient(anthropic, options = {}) {
+  const delays = [];
+  const claude = createClaudeClient({ anthropic, sleep: async (ms) => { delays.push(ms); }, ...options });
+  return { claude, delays };
+}
+
+test('call() retries with the fallback model when the primary fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const anthropic = createFakeAnthropic();
+  anthropic.queue(new Error('overloaded'), 'ok');
+  const { claude, delays } = createTestClient(anthropic);
+
+  const message = await claude.call({ max_tokens: 10, messages: [] });
+
+  assert.equal(message.content[0].text, 'ok');
+  assert.deepEqual(anthropic.requests.map(request => request.model), [PRIMARY, FALLBACK]);
+  assert.deepEqual(delays, []);
+});
+
+test('rate limited and overloaded requests are retried with exponential backoff', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const anthropic = createFakeAnthropic();
+  anthropic.queue(apiError(529), apiError(429), apiError(529), 'ok');
+  const { claude, delays } = createTestClient(anthropic, { retryBaseDelayMs: 1000 });
+
+  const message = await claude.call({ max_tokens: 10, messages: [] });
+
+  assert.equal(message.content[0].text, 'ok');
+  assert.deepEqual(anthropic.requests.map(request => request.model), [PRIMARY, PRIMARY, PRIMARY, PRIMARY]);
+  [1000, 2000, 4000].forEach((delay, index) => {
+    assert.ok(delays[index] >= delay / 2 && delays[index] <= delay, `retry ${index} waited ${delays[index]}ms`);
+  });
+});
+
+test('retry-after is respected, and the next model is tried once retries run out', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const anthropic = createFakeAnthropic();
+  anthropic.queue(apiError(429, 7), apiError(429, 7), 'ok');
+  const { claude, delays } = createTestClient(anthropic, { maxRetries: 1 });
+
+  await claude.call({ max_tokens: 10, messages: [] });
+
+  assert.deepEqual(delays, [7000]);
+  assert.deepEqual(anthropic.requests.map(request => request.model), [PRIMARY, PRIMARY, FALLBACK]);
+});
+
+test('the last error is thrown when every model fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const anthropic = createFakeAnthropic();
+  anthropic.queue(apiError(400), apiError(401));
+  const { claude } = createTestClient(anthropic, { models: ['model-a', 'model-b'] });
+
+  await assert.rejects(claude.call({ max_tokens: 10, messages: [] }), /401 error/);
+  assert.deepEqual(anthropic.requests.map(request => request.model), ['model-a', 'model-b']);
+});
+
+test('each user has an hourly limit', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-06-01T12:00:00Z') });
+  const anthropic = createFakeAnthropic();
+  anthropic.queue('one', 'two', 'three');
+  const { claude } = createTestClient(anthropic, { userRequestsPerHour: 2 });
+
+  await claude.call({ messages: [] }, { userId: 1 });
+  t.mock.timers.tick(10 * 60 * 1000);
+  await claude.call({ messages: [] }, { userId: 1 });
+
+  await assert.rejects(claude.call({ messages: [] }, { userId: 1 }), (error) => {
+    assert.equal(error.code, 'CLAUDE_RATE_LIMITED');
+    assert.equal(error.retryAfterSeconds, 50 * 60);
+    return true;
+  });
+  assert.equal(anthropic.requests.length, 2);
+
+  await claude.call({ messages: [] }, { userId: 2 });
+  assert.equal(anthropic.requests.length, 3);
+});
+
+test('requests wait for the global per-minute and concurrency limits', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-06-01T12:00:00Z') });
+  let running = 0;
+  let mostRunning = 0;
+  const anthropic = {
+    messages: {
+      async create(params, requestOptions) {
+        assert.deepEqual(requestOptions, { timeout: 5000, maxRetries: 0 });
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return { content: [{ type: 'text', text: 'ok' }] };
+      }
+    }
+  };
+  const delays = [];
+  const claude = createClaudeClient({
+    anthropic,
+    timeoutMs: 5000,
+    maxConcurrent: 2,
+    requestsPerMinute: 3,
+    sleep: async (ms) => {
+      delays.push(ms);
+      t.mock.timers.tick(ms);
+    }
+  });
+
+  await Promise.all([1, 2, 3, 4].map(() => claude.call({ messages: [] })));
+
+  assert.equal(mostRunning, 2);
+  assert.deepEqual(delays, [60 * 1000]);
+});
+
+test('token usage is reported for the user', async () => {
+  const anthropic = createFakeAnthropic();
+  anthropic.queue(GOALS);
+  const recorded = [];
+  const { claude } = createTestClient(anthropic, { recordUsage: async (userId, usage) => recorded.push({ userId, ...usage }) });
+
+  await claude.calculateGoals({ age: 30 }, { userId: 5 });
+
+  assert.deepEqual(recorded, [{ userId: 5, model: PRIMARY, inputTokens: 1000, outputTokens: 200 }]);
+});
+
+test('options come from the environment', (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+
+  const options = claudeOptionsFromEnv({
+    CLAUDE_MODELS: 'claude-sonnet-4-6, claude-opus-4-6',
+    CLAUDE_TIMEOUT_MS: '20000',
+    CLAUDE_USER_REQUESTS_PER_HOUR: '0',
+    CLAUDE_MAX_RETRIES: 'lots'
+  });
+
+  assert.deepEqual(options.models, ['claude-sonnet-4-6', 'claude-opus-4-6']);
+  assert.equal(options.timeoutMs, 20000);
+  assert.equal(options.userRequestsPerHour, 0);
+  assert.equal(options.maxRetries, CLAUDE_DEFAULTS.maxRetries);
+  assert.deepEqual(claudeOptionsFromEnv({}).models, CLAUDE_DEFAULTS.models);
+  assert.match(warnings[0], /CLAUDE_MAX_RETRIES=lots/);
+
+  const zeroes = claudeOptionsFromEnv({ CLAUDE_TIMEOUT_MS: '0', CLAUDE_MAX_CONCURRENT: '0', CLAUDE_REQUESTS_PER_MINUTE: '0' });
+  assert.equal(zeroes.timeoutMs, CLAUDE_DEFAULTS.timeoutMs);
+  assert.equal(zeroes.maxConcurrent, CLAUDE_DEFAULTS.maxConcurrent);
+  assert.equal(zeroes.requestsPerMinute, 0);
+  assert.equal(warnings.length, 3);
+});
+
+test('analyzeFood asks for the meal through its tool and totals the components', async () => {
+  const anthropic = createFakeAnthropic();
+  anthropic.queue({
+    food_name: 'Chicken rice',
+    components: [
+      { food_name: 'Rice', calories: 250, protein: 5, carbs: 55, fat: 1, fiber: 1, hydration: 80, serving_size: '1 cup' },
+      { food_name: 'Chicken', calories: 200, protein: 30, carbs: 0, fat: 8, fiber: 0, hydration: 60, serving_size: '100g' }
+    ],
+    serving_size: '1 plate',
+    confidence: 'high'
+  });
+  const claude = createClaudeClient({ anthropic });
+
+  const entry = await claude.analyzeFood('aW1hZ2U=', 'lunch');
+
+  assert.equal(entry.calories, 450);
+  assert.equal(entry.protein, 35);
+  assert.equal(entry.components.length, 2);
+
+  const [request] = anthropic.requests;
+  assert.deepEqual(request.tool_choice, { type: 'tool', name: 'record_meal' });
+  assert.equal(request.tools[0].name, 'record_meal');
+  const [image, prompt] = request.messages[0].content;
+  assert.equal(image.source.data, 'aW1hZ2U=');
+  assert.match(prompt.text, /lunch/);
+});
+
+test('analyzeFoodText returns the items, or none', async () => {
+  const anthropic = createFakeAnthropic();
+  anthropic.queue({ items: [BANANA] }, { items: [] });
+  const claude = createClaudeClient({ anthropic });
+
+  assert.deepEqual(await claude.analyzeFoodText('a banana'), [BANANA]);
+  assert.deepEqual(await claude.analyzeFoodText('hello'), []);
+});
+
+test('calculateGoals coerces the goals to whole numbers', async () => {
+  const anthropic = createFakeAnthropic();
+  anthropic.queue({ ...GOALS, calories: '2150.6 kcal', protein: 131.5 });
+  const claude = createClaudeClient({ anthropic });
+
+  assert.deepEqual(await claude.calculateGoals({ age: 30 }), { ...GOALS, calories: 2151, protein: 132 });
+});
+
+test('invalid output is sent back once with the problems, without counting toward the user\'s limit', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const anthropic = createFakeAnthropic();
+  anthropic.queue({ items: [{ ...BANANA, calories: -105 }] }, { items: [BANANA] });
+  const claude = createClaudeClient({ anthropic, userRequestsPerHour: 1 });
+
+  assert.deepEqual(await claude.analyzeFoodText('a banana', { userId: 1 }), [BANANA]);
+
+  const { messages } = anthropic.requests[1];
+  assert.equal(messages.length, 3);
+  assert.equal(messages[1].role, 'assistant');
+  const [feedback] = messages[2].content;
+  assert.equal(feedback.type, 'tool_result');
+  assert.equal(feedback.tool_use_id, messages[1].content[0].id);
+  assert.equal(feedback.is_error, true);
+  assert.match(feedback.content, /items\[0\]\.calories should be at least 0, got -105/);
+});
+
+test('a second invalid answer is an error', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const anthropic = createFakeAnthropic();
+  anthropic.queue('Sorry, I can\'t tell what this is.', { items: [{ ...BANANA, calories: 50000 }] });
+  const claude = createClaudeClient({ anthropic });
+
+  await assert.rejects(claude.analyzeFoodText('a giant sandwich'), (error) => {
+    assert.equal(error.code, 'CLAUDE_INVALID_OUTPUT');
+    assert.match(error.message, /calories should be at most 5000, got 50000/);
+    return true;
+  });
+  assert.equal(anthropic.requests[1].messages[2].content[0].type, 'text');
+});
@@ -0,0 +1,62 @@
+// AES-GCM values tagged with their key, and reading values from before the switch
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { parseKey, keyFingerprint, createEncryption } = require('../encryption');
+const { TEST_KEY } = require('./helpers');
+
+const NEW_KEY = 'fedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210';
+const LEGACY_KEY = '0123456789abcdef0123456789abcdef';
+
+// A value as written before GCM: AES-256-CBC with the key's characters as raw bytes
+function legacyEncrypt(text, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key), iv);
+  return iv.toString('hex') + ':' + Buffer.concat([cipher.update(text), cipher.final()]).toString('hex');
+}
+
+test('keys are 64 hex characters or a 32-character legacy key', () => {
+  assert.equal(parseKey(TEST_KEY).length, 32);
+  assert.deepEqual(parseKey(LEGACY_KEY), Buffer.from(LEGACY_KEY));
+  assert.equal(parseKey('too-short'), null);
+  assert.equal(parseKey(undefined), null);
+  assert.throws(() => createEncryption('too-short'), /Invalid encryption key/);
+});
+
+test('values carry the format and the ID of the key that wrote them', () => {
+  const { keyId, encrypt, decrypt, needsReencryption } = createEncryption(TEST_KEY);
+  const value = encrypt('Alice Smith');
+
+  const [format, valueKeyId] = value.split(':');
+  assert.equal(format, 'gcm');
+  assert.equal(valueKeyId, keyFingerprint(TEST_KEY));
+  assert.equal(valueKeyId, keyId);
+  assert.notEqual(encrypt('Alice Smith'), value);
+  assert.equal(decrypt(value), 'Alice Smith');
+  assert.equal(needsReencryption(value), false);
+});
+
+test('tampered values and values under unknown keys are unreadable', () => {
+  const { encrypt } = createEncryption(TEST_KEY);
+  const value = encrypt('Alice Smith');
+  const parts = value.split(':');
+  const lastByte = parts[4].slice(-2) === '00' ? '01' : '00';
+  const tampered = [...parts.slice(0, 4), parts[4].slice(0, -2) + lastByte].join(':');
+
+  assert.equal(createEncryption(TEST_KEY).decrypt(tampered), null);
+  assert.equal(createEncryption(NEW_KEY).decrypt(value), null);
+  assert.equal(createEncryption(TEST_KEY).decrypt('not:a:value'), null);
+});
+
+test('previous keys read older values, which need re-encrypting', () => {
+  const oldValue = createEncryption(TEST_KEY).encrypt('Alice');
+  const legacyValue = legacyEncrypt('Bob', LEGACY_KEY);
+  const { encrypt, decrypt, needsReencryption } = createEncryption(NEW_KEY, [TEST_KEY, LEGACY_KEY]);
+
+  assert.equal(decrypt(oldValue), 'Alice');
+  assert.equal(decrypt(legacyValue), 'Bob');
+  assert.equal(needsReencryption(oldValue), true);
+  assert.equal(needsReencryption(legacyValue), true);
+  assert.equal(needsReencryption(encrypt('Carol')), false);
+  assert.equal(createEncryption(NEW_KEY).decrypt(legacyValue), null);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchFoods, parseUserCorrection, parseLocalMeal, applyCorrection, describeChanges } = require('../foods');
+
+const RICE = { food_name: 'Rice', calories: 200, protein: 4, carbs: 44, fat: 0.5, fiber: 1, hydration: 100, serving_size: '150g' };
+
+test('searchFoods ranks the closest names first', () => {
+  const [best] = searchFoods('brown rice');
+  assert.equal(best.food.name, 'Brown rice');
+});
+
+test('parseUserCorrection estimates a food and serving from the database', () => {
+  const coke = parseUserCorrection('500ml coke');
+  assert.equal(coke.food_name, 'Coke');
+  assert.equal(coke.database_match, 'Cola');
+  assert.ok(coke.calories > 150 && coke.calories < 300);
+});
+
+test('parseLocalMeal splits a simple description into items', () => {
+  const items = parseLocalMeal('2 eggs and toast with butter');
+  assert.deepEqual(items.map(item => item.food_name), ['Eggs', 'Toast', 'Butter']);
+  assert.equal(items[0].serving_size, '2 pcs (100g)');
+});
+
+test('applyCorrection scales an entry or edits single fields', () => {
+  const doubled = applyCorrection('x2', RICE);
+  assert.equal(doubled.calories, 400);
+  assert.equal(doubled.serving_size, '300g');
+
+  const moreProtein = applyCorrection('protein +10', RICE);
+  assert.equal(moreProtein.protein, 14);
+  assert.equal(moreProtein.calories, 200);
+
+  assert.equal(applyCorrection('nice photo', RICE), null);
+});
+
+test('describeChanges lists what a correction changed', () => {
+  const changes = describeChanges(RICE, applyCorrection('protein +10', RICE));
+  assert.deepEqual(changes, ['Protein: 4 → 14 g (+10)']);
+});
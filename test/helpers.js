@@ -0,0 +1,256 @@
+// Fakes for running the bot's handlers in tests: a Telegram bot that records what it
+// sends, a Claude API that answers from a queue, in-memory storage and a manual cron.
+//
+//   const t = await createTestBot();
+//   t.anthropic.queue({ items: [{ food_name: 'Salad', calories: 120, ... }] });
+//   await t.bot.receive(privateMessage('/log a salad'));
+//   t.bot.sent   // [{ method: 'sendMessage', chatId, text, options }, ...]
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { createStorage } = require('../storage');
+const { createIdentity } = require('../identity');
+const { createClaudeClient } = require('../claude');
+const { createUsage } = require('../usage');
+const { createFoodBot } = require('../bot');
+
+const BOT_USER_ID = 999;
+const CHANNEL_ID = -100123;
+const DEVELOPER_ID = 42;
+// Token counts the fake Claude API reports for every reply
+const FAKE_USAGE = { input_tokens: 1000, output_tokens: 200 };
+const TEST_KEY = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+// Message types that get their own event, as in node-telegram-bot-api's processUpdate()
+const MESSAGE_TYPES = ['text', 'photo', 'document'];
+
+function createFakeBot({ files = {} } = {}) {
+  const emitter = new EventEmitter();
+  const textCallbacks = [];
+  const pending = new Set();
+  const errors = [];
+  const sent = [];
+  let nextMessageId = 1000;
+
+  // Listeners are async; keep their promises so settle() can wait for them
+  function track(result) {
+    if (!result || typeof result.then !== 'function') return;
+    const promise = result.catch(error => errors.push(error));
+    pending.add(promise);
+    promise.finally(() => pending.delete(promise));
+  }
+
+  function record(method, call) {
+    const message = { message_id: nextMessageId++, chat: { id: call.chatId }, from: { id: BOT_USER_ID, is_bot: true }, text: call.text };
+    sent.push({ method, ...call, message });
+    return message;
+  }
+
+  // Wait until every listener (and whatever it started) has finished; rethrow the first error
+  async function settle() {
+    while (pending.size > 0) {
+      await Promise.all([...pending]);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (errors.length > 0) throw errors.shift();
+  }
+
+  const bot = {
+    sent,
+    settle,
+
+    on(event, listener) {
+      emitter.on(event, (...args) => track(listener(...args)));
+    },
+    onText(regexp, callback) {
+      textCallbacks.push({ regexp, callback });
+    },
+    emit(event, ...args) {
+      return emitter.emit(event, ...args);
+    },
+
+    // Dispatch an update as node-telegram-bot-api does: messages reach their events and the
+    // onText() callbacks, channel posts only the 'channel_post' event
+    processUpdate(update) {
+      if (update.channel_post) {
+        emitter.emit('channel_post', update.channel_post);
+        return;
+      }
+
+      const msg = update.message;
+      const type = MESSAGE_TYPES.find(name => msg[name]);
+      emitter.emit('message', msg, { type });
+      if (type) emitter.emit(type, msg, { type });
+      if (msg.text) {
+        textCallbacks.forEach(({ regexp, callback }) => {
+          const match = regexp.exec(msg.text);
+          regexp.lastIndex = 0;
+          if (match) track(callback(msg, match));
+        });
+      }
+    },
+
+    // Deliver a message (or channel post) as polling would and wait for the handlers
+    async receive(msg) {
+      bot.processUpdate(msg.chat.type === 'channel' ? { channel_post: msg } : { message: msg });
+      await settle();
+    },
+
+    // Press an inline button under one of the bot's messages
+    async press(message, data, from) {
+      emitter.emit('callback_query', { id: `query-${nextMessageId++}`, from, message, data });
+      await settle();
+    },
+
+    // What was sent by one method (default sendMessage), optionally only to one chat
+    messages(method = 'sendMessage', chatId = null) {
+      return sent.filter(call => call.method === method && (chatId === null || String(call.chatId) === String(chatId)));
+    },
+    lastMessage(chatId = null) {
+      const messages = bot.messages('sendMessage', chatId);
+      return messages[messages.length - 1];
+    },
+
+    async sendMessage(chatId, text, options = {}) {
+      return record('sendMessage', { chatId, text, options });
+    },
+    async sendPhoto(chatId, photo, options = {}, fileOptions = {}) {
+      return record('sendPhoto', { chatId, photo, options, fileOptions });
+    },
+    async sendDocument(chatId, document, options = {}, fileOptions = {}) {
+      return record('sendDocument', { chatId, document, options, fileOptions });
+    },
+    async editMessageText(text, options = {}) {
+      sent.push({ method: 'editMessageText', chatId: options.chat_id, text, options });
+      return true;
+    },
+    async editMessageReplyMarkup(markup, options = {}) {
+      sent.push({ method: 'editMessageReplyMarkup', chatId: options.chat_id, markup, options });
+      return true;
+    },
+    async answerCallbackQuery(id, options = {}) {
+      sent.push({ method: 'answerCallbackQuery', id, options });
+      return true;
+    },
+    async getMe() {
+      return { id: BOT_USER_ID, is_bot: true, username: 'food_test_bot' };
+    },
+    getFileStream(fileId) {
+      if (!files[fileId]) throw new Error(`Unknown file ${fileId}`);
+      return Readable.from([files[fileId]]);
+    }
+  };
+
+  return bot;
+}
+
+// Stands in for the Anthropic SDK: each messages.create() answers with the next queued reply
+function createFakeAnthropic() {
+  const replies = [];
+  const requests = [];
+
+  return {
+    requests,
+    // A reply is an object (the input of a call to the requested tool), a string (a text
+    // answer), or an Error to throw
+    queue(...items) {
+      replies.push(...items);
+    },
+    messages: {
+      async create(params) {
+        requests.push(params);
+        if (replies.length === 0) throw new Error('No Claude reply queued');
+        const reply = replies.shift();
+        if (reply instanceof Error) throw reply;
+        const content = typeof reply === 'string'
+          ? [{ type: 'text', text: reply }]
+          : [{ type: 'tool_use', id: `toolu_${requests.length}`, name: params.tool_choice && params.tool_choice.name, input: reply }];
+        return {
+          model: params.model,
+          content,
+          usage: { input_tokens: FAKE_USAGE.input_tokens, output_tokens: FAKE_USAGE.output_tokens }
+        };
+      }
+    }
+  };
+}
+
+// Collects scheduled jobs instead of running them on a timer
+function createFakeCron() {
+  const jobs = [];
+  return {
+    jobs,
+    schedule(expression, task) {
+      jobs.push({ expression, task });
+    },
+    async runAll(expression) {
+      for (const job of jobs.filter(job => job.expression === expression)) {
+        await job.task();
+      }
+    }
+  };
+}
+
+// The whole bot wired to fakes and an empty in-memory store
+async function createTestBot({ files, claudeOptions = {} } = {}) {
+  const storage = createStorage({ backend: 'memory' });
+  await storage.connect();
+
+  const bot = createFakeBot({ files });
+  const anthropic = createFakeAnthropic();
+  const cron = createFakeCron();
+  const identity = createIdentity({ storage, key: TEST_KEY });
+  await identity.checkKey();
+  const usage = createUsage({ storage });
+  const claude = createClaudeClient({ anthropic, recordUsage: usage.recordUsage, ...claudeOptions });
+
+  const services = createFoodBot({ bot, storage, claude, usage, identity, cron, chatId: CHANNEL_ID, developerChatId: DEVELOPER_ID });
+
+  return { bot, storage, anthropic, cron, identity, usage, ...services };
+}
+
+let nextIncomingId = 1;
+
+// A message from a user in a private chat with the bot
+function privateMessage(text, { userId = 1, firstName = 'Alice', ...extra } = {}) {
+  return {
+    message_id: nextIncomingId++,
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: userId, type: 'private' },
+    from: { id: userId, is_bot: false, first_name: firstName },
+    ...(text === null ? {} : { text }),
+    ...extra
+  };
+}
+
+// A post in the configured channel, signed by an admin (channel posts have no sender)
+function channelPost(text, { signature = 'Alice', ...extra } = {}) {
+  return {
+    message_id: nextIncomingId++,
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: CHANNEL_ID, type: 'channel' },
+    sender_chat: { id: CHANNEL_ID, type: 'channel' },
+    author_signature: signature,
+    ...(text === null ? {} : { text }),
+    ...extra
+  };
+}
+
+// A reply to one of the bot's messages (as recorded by the fake bot)
+function replyTo(botMessage, text, options = {}) {
+  return privateMessage(text, { ...options, reply_to_message: botMessage });
+}
+
+module.exports = {
+  BOT_USER_ID,
+  CHANNEL_ID,
+  FAKE_USAGE,
+  TEST_KEY,
+  DEVELOPER_ID,
+  createFakeBot,
+  createFakeAnthropic,
+  createFakeCron,
+  createTestBot,
+  privateMessage,
+  channelPost,
+  replyTo
+};
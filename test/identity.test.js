@@ -0,0 +1,200 @@
+// Encrypted names and the ENCRYPTION_KEY check shared by the bot and the dashboard
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createStorage } = require('../storage');
+const { createIdentity, keyFingerprint, checkKeyConfigured, checkKeyAtStartup } = require('../identity');
+const { createUsers } = require('../users');
+const { TEST_KEY } = require('./helpers');
+
+const OTHER_KEY = 'fedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210';
+
+async function createMemoryStorage() {
+  const storage = createStorage({ backend: 'memory' });
+  await storage.connect();
+  return storage;
+}
+
+async function createChecked(storage, key, previousKeys) {
+  const identity = createIdentity({ storage, key, previousKeys });
+  await identity.checkKey();
+  return { identity, users: createUsers({ storage, identity }) };
+}
+
+test('the first key is recorded and names round-trip through storage', async () => {
+  const storage = await createMemoryStorage();
+  const { identity, users } = await createChecked(storage, TEST_KEY);
+
+  assert.equal(identity.getKeyStatus().status, 'ok');
+  assert.equal(await storage.getKeyFingerprint(), keyFingerprint(TEST_KEY));
+
+  await users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+  const profiles = await users.getAllUsers();
+  assert.notEqual(profiles[1].fullName, 'Alice Smith');
+
+  const other = await createChecked(storage, TEST_KEY);
+  assert.equal(other.users.getDisplayName(1, profiles), 'Alice Smith');
+});
+
+test('a different key is reported and never shows or overwrites stored names', async () => {
+  const storage = await createMemoryStorage();
+  const bot = await createChecked(storage, TEST_KEY);
+  await bot.users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+  const stored = (await storage.getUserProfile(1)).fullName;
+
+  const { identity, users } = await createChecked(storage, OTHER_KEY);
+
+  assert.equal(identity.getKeyStatus().status, 'mismatch');
+  assert.match(identity.getKeyStatus().message, /differs/);
+  assert.equal(users.getDisplayName(1, await users.getAllUsers()), 'User');
+  assert.equal(users.getDisplayName('-100:Bob', {}), 'Bob');
+
+  await users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+  const profile = await storage.getUserProfile(1);
+  assert.equal(profile.fullName, stored);
+  assert.ok(profile.lastSeen);
+  assert.equal(await storage.getKeyFingerprint(), keyFingerprint(TEST_KEY));
+});
+
+test('stored names are checked when no fingerprint was saved yet', async () => {
+  const storage = await createMemoryStorage();
+  const bot = await createChecked(storage, TEST_KEY);
+  await bot.users.saveUserInfo(1, { fullName: 'Alice Smith' });
+  await storage.setKeyFingerprint(null);
+
+  const matching = await createChecked(storage, TEST_KEY);
+  assert.equal(matching.identity.getKeyStatus().status, 'ok');
+  assert.equal(await storage.getKeyFingerprint(), keyFingerprint(TEST_KEY));
+  assert.equal(matching.users.getDisplayName(1, await matching.users.getAllUsers()), 'Alice Smith');
+});
+
+test('upgrading from random per-process keys drops the names no key can read', async (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+
+  // As written before ENCRYPTION_KEY was required: CBC under a key nobody kept
+  const randomKey = crypto.randomBytes(16).toString('hex');
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(randomKey), iv);
+  const lostName = iv.toString('hex') + ':' + Buffer.concat([cipher.update('Alice'), cipher.final()]).toString('hex');
+
+  const storage = await createMemoryStorage();
+  await storage.saveUserProfile(1, { firstName: lostName, username: 'alice', lastSeen: '2025-01-01T00:00:00.000Z' });
+
+  const { identity, users } = await createChecked(storage, TEST_KEY);
+
+  assert.equal(identity.getKeyStatus().status, 'ok');
+  assert.equal(await storage.getKeyFingerprint(), keyFingerprint(TEST_KEY));
+  assert.deepEqual(await storage.getUserProfile(1), { username: 'alice', lastSeen: '2025-01-01T00:00:00.000Z' });
+  assert.match(warnings[0], /No configured key can read the 1 stored names/);
+
+  await users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+  assert.equal(users.getDisplayName(1, await users.getAllUsers()), 'Alice Smith');
+});
+
+test('/discardnames ends a mismatch when the old key is lost', async () => {
+  const storage = await createMemoryStorage();
+  const before = await createChecked(storage, TEST_KEY);
+  await before.users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+
+  const { identity, users } = await createChecked(storage, OTHER_KEY);
+  assert.equal(identity.getKeyStatus().status, 'mismatch');
+  assert.equal(identity.canStoreNames(), false);
+
+  assert.deepEqual(await identity.discardUnreadableNames(), { profiles: 1, names: 2, status: 'ok' });
+  assert.equal(await storage.getKeyFingerprint(), keyFingerprint(OTHER_KEY));
+  assert.equal((await storage.getUserProfile(1)).firstName, undefined);
+
+  await users.saveUserInfo(1, { firstName: 'Alice' });
+  assert.equal(users.getDisplayName(1, await users.getAllUsers()), 'Alice');
+  await assert.rejects(createIdentity({ storage }).discardUnreadableNames(), /ENCRYPTION_KEY not set/);
+});
+
+test('without a usable key names are not stored', async () => {
+  for (const [key, status] of [[undefined, 'missing'], ['too-short', 'invalid']]) {
+    const storage = await createMemoryStorage();
+    const { identity, users } = await createChecked(storage, key);
+
+    assert.equal(identity.getKeyStatus().status, status);
+    await users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+    assert.equal((await storage.getUserProfile(1)).fullName, undefined);
+    assert.equal(await storage.getKeyFingerprint(), null);
+  }
+});
+
+test('a new key reads names under the previous one until /rotatekey re-encrypts them', async () => {
+  const storage = await createMemoryStorage();
+  const before = await createChecked(storage, TEST_KEY);
+  await before.users.saveUserInfo(1, { firstName: 'Alice', fullName: 'Alice Smith' });
+  await before.users.saveUserInfo(2, { username: 'bobby' });
+
+  const { identity, users } = await createChecked(storage, OTHER_KEY, [TEST_KEY]);
+  assert.equal(identity.getKeyStatus().status, 'rotating');
+  assert.equal(users.getDisplayName(1, await users.getAllUsers()), 'Alice Smith');
+
+  assert.deepEqual(await identity.rotateNames(), { profiles: 2, names: 3, unreadable: 0 });
+  assert.equal(identity.getKeyStatus().status, 'ok');
+  assert.equal(await storage.getKeyFingerprint(), keyFingerprint(OTHER_KEY));
+  assert.deepEqual(await identity.rotateNames(), { profiles: 0, names: 0, unreadable: 0 });
+
+  const after = await createChecked(storage, OTHER_KEY);
+  assert.equal(after.identity.getKeyStatus().status, 'ok');
+  const profiles = await after.users.getAllUsers();
+  assert.equal(after.users.getDisplayName(1, profiles), 'Alice Smith');
+  assert.equal(after.users.getDisplayName(2, profiles), 'bobby');
+
+  const old = await createChecked(storage, TEST_KEY);
+  assert.equal(old.identity.getKeyStatus().status, 'mismatch');
+});
+
+test('names from before AES-GCM are moved over by /rotatekey', async () => {
+  const legacyKey = '0123456789abcdef0123456789abcdef';
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(legacyKey), iv);
+  const legacyName = iv.toString('hex') + ':' + Buffer.concat([cipher.update('Alice'), cipher.final()]).toString('hex');
+
+  const storage = await createMemoryStorage();
+  await storage.saveUserProfile(1, { firstName: legacyName, lastSeen: '2025-01-01T00:00:00.000Z' });
+  await storage.saveUserProfile(2, { firstName: 'f00d:beef' });
+
+  const { identity, users } = await createChecked(storage, legacyKey);
+  assert.equal(identity.getKeyStatus().status, 'rotating');
+  assert.equal(users.getDisplayName(1, await users.getAllUsers()), 'Alice');
+
+  assert.deepEqual(await identity.rotateNames(), { profiles: 1, names: 1, unreadable: 1 });
+  const profile = await storage.getUserProfile(1);
+  assert.match(profile.firstName, /^gcm:/);
+  assert.equal(profile.lastSeen, '2025-01-01T00:00:00.000Z');
+  assert.equal(users.getDisplayName(1, await users.getAllUsers()), 'Alice');
+  assert.equal((await createChecked(storage, legacyKey)).identity.getKeyStatus().status, 'ok');
+});
+
+test('services refuse to start without a usable key unless degraded mode is on', async (t) => {
+  const errors = [];
+  const warnings = [];
+  t.mock.method(console, 'error', (message) => errors.push(message));
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+  const storage = await createMemoryStorage();
+
+  assert.equal(await checkKeyAtStartup(createIdentity({ storage })), false);
+  assert.match(errors[0], /ENCRYPTION_KEY not set.*ENCRYPTION_DEGRADED_MODE=true/);
+
+  assert.equal(await checkKeyAtStartup(createIdentity({ storage, key: 'too-short' }), { degradedMode: true }), true);
+  assert.match(warnings[0], /degraded mode/);
+
+  t.mock.method(console, 'log', () => {});
+  assert.equal(await checkKeyAtStartup(createIdentity({ storage, key: TEST_KEY })), true);
+});
+
+test('a missing or invalid key is caught before storage is reached', (t) => {
+  const errors = [];
+  t.mock.method(console, 'error', (message) => errors.push(message));
+  t.mock.method(console, 'warn', () => {});
+  const storage = {}; // never touched
+
+  assert.equal(checkKeyConfigured(createIdentity({ storage })), false);
+  assert.match(errors[0], /ENCRYPTION_KEY not set/);
+  assert.equal(checkKeyConfigured(createIdentity({ storage, key: 'too-short' })), false);
+  assert.equal(checkKeyConfigured(createIdentity({ storage, key: 'too-short' }), { degradedMode: true }), true);
+  assert.equal(checkKeyConfigured(createIdentity({ storage, key: TEST_KEY })), true);
+});
@@ -0,0 +1,38 @@
+// Parsing other trackers' CSV exports and storing them as entries
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { parseImportCsv, importEntries } = require('../import');
+
+async function createMemoryStorage() {
+  const storage = createStorage({ backend: 'memory' });
+  await storage.connect();
+  return storage;
+}
+
+test('an impossible time is a row error, not a failed import', async () => {
+  const csv = 'Day,Time,Food Name,Energy (kcal)\n2026-01-05,25:00,Soup,150\n2026-01-05,08:61,Tea,5\n2026-01-06,7:30,Toast,200\n';
+  const parsed = parseImportCsv(csv);
+
+  assert.deepEqual(parsed.errors, [
+    { line: 2, reason: 'unreadable time "25:00"' },
+    { line: 3, reason: 'unreadable time "08:61"' }
+  ]);
+  assert.deepEqual(parsed.rows.map(row => row.time), ['07:30']);
+
+  const storage = await createMemoryStorage();
+  const result = await importEntries(storage, 1, parsed.rows);
+  assert.equal(result.imported, 1);
+  assert.equal((await storage.getEntries(1, '2026-01-06'))[0].timestamp, '2026-01-06T07:30:00.000Z');
+});
+
+test('a row that can\'t be stored stops the import before anything is written', async () => {
+  const storage = await createMemoryStorage();
+  const rows = [
+    { date: '2026-01-05', time: '08:00', entry: { food_name: 'Soup', calories: 150 } },
+    { date: '2026-01-06', time: '99:99', entry: { food_name: 'Tea', calories: 5 } }
+  ];
+
+  await assert.rejects(importEntries(storage, 1, rows), /Invalid date or time/);
+  assert.deepEqual(await storage.getDays(1), []);
+});
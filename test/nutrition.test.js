@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTotals, buildMealEntry, averageTotals, isGoalHit, getMacroSplit, DEFAULT_GOALS } = require('../nutrition');
+
+test('calculateTotals sums every nutrient and treats missing fields as 0', () => {
+  const totals = calculateTotals([
+    { calories: 100, protein: 5, carbs: 10, fat: 2, fiber: 1, hydration: 50 },
+    { calories: 250, protein: 10 }
+  ]);
+
+  assert.deepEqual(totals, { calories: 350, protein: 15, carbs: 10, fat: 2, fiber: 1, hydration: 50 });
+  assert.deepEqual(calculateTotals(null), { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, hydration: 0 });
+});
+
+test('buildMealEntry fills in the meal totals from its components', () => {
+  const meal = buildMealEntry({
+    food_name: 'Rice and curry',
+    components: [
+      { food_name: 'Rice', calories: 200.4, protein: 4.12, carbs: 44, fat: 0.5, fiber: 0.6, hydration: 100 },
+      { food_name: 'Curry', calories: 300, protein: 20, carbs: 10, fat: 18.26, fiber: 3, hydration: 150.6 }
+    ]
+  });
+
+  assert.equal(meal.calories, 500);
+  assert.equal(meal.protein, 24.1);
+  assert.equal(meal.fat, 18.8);
+  assert.equal(meal.hydration, 251);
+  assert.equal(meal.components.length, 2);
+});
+
+test('buildMealEntry drops an empty component list', () => {
+  const entry = buildMealEntry({ food_name: 'Apple', calories: 95, components: [] });
+  assert.deepEqual(entry, { food_name: 'Apple', calories: 95 });
+});
+
+test('averageTotals averages over the logged days only', () => {
+  const averages = averageTotals([
+    { totals: { calories: 1800, protein: 100, carbs: 200, fat: 60, fiber: 20, hydration: 1500 } },
+    { totals: { calories: 2201, protein: 121, carbs: 250, fat: 71, fiber: 25, hydration: 2000 } }
+  ]);
+
+  assert.equal(averages.calories, 2001);
+  assert.equal(averages.protein, 110.5);
+  assert.equal(averages.hydration, 1750);
+});
+
+test('isGoalHit allows 10% either side of the goal', () => {
+  assert.equal(isGoalHit({ calories: 2190 }, DEFAULT_GOALS, 'calories'), true);
+  assert.equal(isGoalHit({ calories: 1810 }, DEFAULT_GOALS, 'calories'), true);
+  assert.equal(isGoalHit({ calories: 2300 }, DEFAULT_GOALS, 'calories'), false);
+});
+
+test('getMacroSplit is the share of calories from each macro', () => {
+  assert.deepEqual(getMacroSplit({ protein: 100, carbs: 100, fat: 0 }), { protein: 50, carbs: 50, fat: 0 });
+  assert.deepEqual(getMacroSplit({ protein: 0, carbs: 0, fat: 10 }), { protein: 0, carbs: 0, fat: 100 });
+  assert.equal(getMacroSplit({ protein: 0, carbs: 0, fat: 0 }), null);
+});
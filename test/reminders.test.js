@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getReminders, hasActiveReminders, applyRemindCommand, getDueReminders } = require('../reminders');
+const { DEFAULT_GOALS } = require('../nutrition');
+
+const TIMEZONE = 'Asia/Singapore'; // UTC+8, no daylight saving
+
+function withLunch() {
+  return applyRemindCommand(getReminders({}), 'lunch 12:30').reminders;
+}
+
+test('applyRemindCommand adds, changes and removes reminders', () => {
+  const reminders = withLunch();
+  assert.deepEqual(reminders.meals, [{ label: 'lunch', time: '12:30' }]);
+  assert.equal(hasActiveReminders(reminders), true);
+
+  const hydration = applyRemindCommand(reminders, 'water 2h').reminders;
+  assert.equal(hydration.hydrationHours, 2);
+
+  const removed = applyRemindCommand(hydration, 'lunch off').reminders;
+  assert.deepEqual(removed.meals, []);
+
+  assert.equal(hasActiveReminders(applyRemindCommand(hydration, 'off').reminders), false);
+  assert.equal(applyRemindCommand(reminders, 'lunch at noonish'), null);
+});
+
+test('a meal reminder is due once in its window', () => {
+  const reminders = withLunch();
+  const now = new Date('2026-03-10T04:35:00Z'); // 12:35 in Singapore
+
+  const due = getDueReminders(reminders, { timezone: TIMEZONE, entries: [], goals: DEFAULT_GOALS, now });
+  assert.equal(due.length, 1);
+  assert.equal(due[0].key, 'meal:lunch');
+  assert.equal(due[0].value, '2026-03-10');
+  assert.match(due[0].text, /Time for lunch/);
+
+  // Already sent today
+  const sent = { ...reminders, lastSent: { 'meal:lunch': '2026-03-10' } };
+  assert.deepEqual(getDueReminders(sent, { timezone: TIMEZONE, entries: [], goals: DEFAULT_GOALS, now }), []);
+
+  // Outside the window
+  const later = new Date('2026-03-10T05:00:00Z');
+  assert.deepEqual(getDueReminders(reminders, { timezone: TIMEZONE, entries: [], goals: DEFAULT_GOALS, now: later }), []);
+});
+
+test('a meal reminder is skipped quietly when something was just logged', () => {
+  const now = new Date('2026-03-10T04:35:00Z');
+  const entries = [{ food_name: 'Noodles', calories: 500, timestamp: '2026-03-10T04:10:00Z' }];
+
+  const due = getDueReminders(withLunch(), { timezone: TIMEZONE, entries, goals: DEFAULT_GOALS, now });
+  assert.equal(due.length, 1);
+  assert.equal(due[0].text, null);
+});
+
+test('nothing is sent during quiet hours', () => {
+  const reminders = applyRemindCommand(getReminders({}), 'snack 23:00').reminders;
+  const now = new Date('2026-03-10T15:05:00Z'); // 23:05 in Singapore
+
+  assert.deepEqual(getDueReminders(reminders, { timezone: TIMEZONE, entries: [], goals: DEFAULT_GOALS, now }), []);
+});
+
+test('hydration pings stop once the day\'s hydration goal is reached', () => {
+  const reminders = { ...getReminders({}), hydrationHours: 2, quietHours: null, lastSent: { hydration: '2026-03-10T00:00:00Z' } };
+  const now = new Date('2026-03-10T03:00:00Z');
+
+  const thirsty = getDueReminders(reminders, { timezone: TIMEZONE, entries: [{ hydration: 500, timestamp: '2026-03-10T01:00:00Z' }], goals: DEFAULT_GOALS, now });
+  assert.match(thirsty[0].text, /500\/2000 ml/);
+
+  const done = getDueReminders(reminders, { timezone: TIMEZONE, entries: [{ hydration: 2500, timestamp: '2026-03-10T01:00:00Z' }], goals: DEFAULT_GOALS, now });
+  assert.equal(done[0].key, 'hydration');
+  assert.equal(done[0].text, null);
+});
@@ -0,0 +1,49 @@
+// Checking and coercing what Claude sends through its tools
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MEAL_TOOL, GOALS_TOOL, toNumber, validateInput } = require('../schemas');
+
+const RICE = { food_name: 'Rice', calories: 250, protein: 5, carbs: 55, fat: 1, fiber: 1, hydration: 80, serving_size: '1 cup' };
+
+test('numbers sent as text are read, units and all', () => {
+  assert.equal(toNumber(12), 12);
+  assert.equal(toNumber('120'), 120);
+  assert.equal(toNumber(' 12.5 g'), 12.5);
+  assert.equal(toNumber('300ml'), 300);
+  assert.equal(toNumber('about 300'), null);
+  assert.equal(toNumber(NaN), null);
+  assert.equal(toNumber(null), null);
+});
+
+test('a meal is coerced to the schema and unknown fields are dropped', () => {
+  const { value, errors } = validateInput(MEAL_TOOL.input_schema, {
+    food_name: ' Rice bowl ',
+    components: [{ ...RICE, calories: '250 kcal', note: 'steamed' }],
+    serving_size: '1 bowl',
+    confidence: 'High',
+    reasoning: 'Looks like rice'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { food_name: 'Rice bowl', components: [RICE], serving_size: '1 bowl', confidence: 'high' });
+});
+
+test('missing fields, wrong types and numbers out of range are listed', () => {
+  const { errors } = validateInput(MEAL_TOOL.input_schema, {
+    food_name: 'Sandwich',
+    components: [{ ...RICE, calories: 50000, fat: -1, protein: 'lots', fiber: undefined }],
+    confidence: 'certain'
+  });
+
+  assert.deepEqual(errors, [
+    'serving_size is missing',
+    'components[0].fiber is missing',
+    'components[0].calories should be at most 5000, got 50000',
+    'components[0].protein should be a number, got "lots"',
+    'components[0].fat should be at least 0, got -1',
+    'confidence should be one of high, medium, low, got "certain"'
+  ]);
+  assert.deepEqual(validateInput(MEAL_TOOL.input_schema, { ...RICE, components: [], confidence: 'low' }).errors,
+    ['components should have at least 1 item']);
+  assert.deepEqual(validateInput(GOALS_TOOL.input_schema, 'Here are your goals').errors, ['input should be an object']);
+});
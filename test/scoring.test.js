@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreDay, formatScoreDetails, maskUserName } = require('../scoring');
+const { DEFAULT_GOALS } = require('../nutrition');
+
+test('a day exactly on every goal scores 1000', () => {
+  const { score, percentages } = scoreDay({ ...DEFAULT_GOALS }, DEFAULT_GOALS);
+  assert.equal(score, 1000);
+  assert.equal(percentages.calories, 1);
+});
+
+test('being over a goal costs the same as being under it', () => {
+  const over = scoreDay({ ...DEFAULT_GOALS, calories: 2400 }, DEFAULT_GOALS);
+  const under = scoreDay({ ...DEFAULT_GOALS, calories: 1600 }, DEFAULT_GOALS);
+
+  // 20% off on one of six nutrients
+  assert.equal(over.score, 967);
+  assert.equal(under.score, over.score);
+});
+
+test('scores never go below 0', () => {
+  const totals = { calories: 20000, protein: 0, carbs: 0, fat: 0, fiber: 0, hydration: 0 };
+  assert.equal(scoreDay(totals, DEFAULT_GOALS).score, 0);
+});
+
+test('formatScoreDetails lists each nutrient as a percentage of its goal', () => {
+  const { percentages } = scoreDay({ ...DEFAULT_GOALS, calories: 1900, fiber: 30 }, DEFAULT_GOALS);
+  assert.equal(formatScoreDetails(percentages), 'cal:95% prot:100% carbs:100% fats:100% fib:120% hyd:100%');
+});
+
+test('maskUserName keeps the first and last character', () => {
+  assert.equal(maskUserName('Alice Smith'), 'A*********h');
+  assert.equal(maskUserName('Bob'), 'Bob');
+  assert.equal(maskUserName(''), 'Anonymous');
+});
@@ -0,0 +1,80 @@
+// The standalone dashboard (server.js) reading what the bot stored, over real HTTP
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { createServer } = require('../server');
+const { createIdentity } = require('../identity');
+const { createTestBot, privateMessage, TEST_KEY } = require('./helpers');
+
+// Start the dashboard on a free port; returns a fetch() for its paths
+async function startServer(t, storage, key) {
+  const identity = createIdentity({ storage, key });
+  await identity.checkKey();
+
+  const server = createServer({ storage, identity }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, options) => fetch(base + path, options);
+}
+
+// A bot where Alice and Bobby logged breakfast
+async function createBotWithEntries() {
+  const t = await createTestBot();
+  await t.bot.receive(privateMessage('/log 2 eggs and toast', { firstName: 'Alice' }));
+  await t.bot.receive(privateMessage('/log 2 eggs', { userId: 2, firstName: 'Bobby' }));
+  return t;
+}
+
+test('the dashboard shows the bot\'s users with masked names', async (t) => {
+  const { storage } = await createBotWithEntries();
+  const request = await startServer(t, storage, TEST_KEY);
+
+  const response = await request('/api/leaderboard');
+  assert.equal(response.status, 200);
+  const { leaderboard, totalUsers } = await response.json();
+  assert.equal(totalUsers, 2);
+  assert.deepEqual(leaderboard.map(user => user.displayName).sort(), ['A***e', 'B***y']);
+  assert.deepEqual(leaderboard.map(user => user.rank), [1, 2]);
+  leaderboard.forEach(user => assert.deepEqual(Object.keys(user).sort(), ['details', 'displayName', 'rank', 'score']));
+
+  const health = await (await request('/api/health')).json();
+  assert.equal(health.services.names.status, 'online');
+
+  const stats = await (await request('/api/stats')).json();
+  assert.equal(stats.totalUsers, 2);
+  assert.equal(stats.todayEntries, 3);
+  assert.equal(stats.claudeUsage.requests, 0);
+  assert.equal(stats.claudeUsage.users, 0);
+});
+
+test('a dashboard with a different ENCRYPTION_KEY says so instead of showing ciphertext', async (t) => {
+  const { storage } = await createBotWithEntries();
+  const request = await startServer(t, storage, 'fedcba9876543210fedcba9876543210');
+
+  const { leaderboard } = await (await request('/api/leaderboard')).json();
+  assert.deepEqual(leaderboard.map(user => user.displayName), ['U**r', 'U**r']);
+
+  const health = await (await request('/api/health')).json();
+  assert.equal(health.services.names.status, 'warning');
+  assert.match(health.services.names.message, /ENCRYPTION_KEY differs/);
+});
+
+test('the admin export needs ADMIN_SECRET', async (t) => {
+  const { storage } = await createBotWithEntries();
+  const request = await startServer(t, storage, TEST_KEY);
+  const previousSecret = process.env.ADMIN_SECRET;
+  process.env.ADMIN_SECRET = 'secret';
+  t.after(() => {
+    if (previousSecret === undefined) delete process.env.ADMIN_SECRET;
+    else process.env.ADMIN_SECRET = previousSecret;
+  });
+
+  assert.equal((await request('/api/users/1/export')).status, 401);
+
+  const response = await request('/api/users/1/export?format=csv', { headers: { 'X-Admin-Secret': 'secret' } });
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /Eggs/);
+  assert.equal((await request('/api/users/404/export', { headers: { 'X-Admin-Secret': 'secret' } })).status, 404);
+});
@@ -0,0 +1,14 @@
+// Storage helpers that don't need a running Redis
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { legacyEntryId } = require('../storage/redis');
+
+test('legacy entries get the same ID each time the migration runs', () => {
+  const entry = { food_name: 'Eggs', timestamp: '2024-01-05T08:00:00.000Z' };
+  const id = legacyEntryId('1', '2024-01-05', 0, entry);
+
+  assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  assert.equal(legacyEntryId('1', '2024-01-05', 0, { ...entry }), id);
+  assert.notEqual(legacyEntryId('1', '2024-01-05', 1, entry), id);
+  assert.notEqual(legacyEntryId('2', '2024-01-05', 0, entry), id);
+});
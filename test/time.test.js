@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimezoneInput, getLocalParts, shiftDate, parseDateInput, getWeekday, resolveTimezone, guessTimezone } = require('../time');
+
+test('parseTimezoneInput understands names, offsets and the current local time', () => {
+  assert.equal(parseTimezoneInput('asia/singapore'), 'Asia/Singapore');
+  assert.equal(parseTimezoneInput('UTC+8'), 'Etc/GMT-8');
+  assert.equal(parseTimezoneInput('-5'), 'Etc/GMT+5');
+  assert.equal(parseTimezoneInput('GMT+0'), 'UTC');
+
+  const now = new Date('2026-03-10T06:00:00Z');
+  assert.equal(parseTimezoneInput('14:00', now), 'Etc/GMT-8');
+  assert.equal(parseTimezoneInput('01:00', now), 'Etc/GMT+5');
+
+  assert.equal(parseTimezoneInput('Mars/Olympus'), null);
+  assert.equal(parseTimezoneInput('UTC+15'), null);
+  assert.equal(parseTimezoneInput('25:00'), null);
+});
+
+test('getLocalParts gives the date and time in a time zone', () => {
+  const moment = new Date('2026-01-31T20:30:00Z');
+  assert.deepEqual(getLocalParts('Asia/Tokyo', moment), { date: '2026-02-01', hour: 5, minute: 30 });
+  assert.deepEqual(getLocalParts('America/New_York', moment), { date: '2026-01-31', hour: 15, minute: 30 });
+});
+
+test('shiftDate and getWeekday work on plain calendar days', () => {
+  assert.equal(shiftDate('2026-03-01', -1), '2026-02-28');
+  assert.equal(shiftDate('2026-12-31', 1), '2027-01-01');
+  assert.equal(getWeekday('2026-01-05'), 1);
+});
+
+test('parseDateInput accepts today, yesterday and real dates only', () => {
+  assert.equal(parseDateInput('today', '2026-03-01'), '2026-03-01');
+  assert.equal(parseDateInput('Yesterday', '2026-03-01'), '2026-02-28');
+  assert.equal(parseDateInput('2026-01-31', '2026-03-01'), '2026-01-31');
+  assert.equal(parseDateInput('2026-02-30', '2026-03-01'), null);
+  assert.equal(parseDateInput('last week', '2026-03-01'), null);
+});
+
+test('resolveTimezone falls back to the default for missing or unknown zones', () => {
+  assert.equal(resolveTimezone('Europe/Rome'), 'Europe/Rome');
+  assert.equal(resolveTimezone('Nowhere/Special'), resolveTimezone(null));
+});
+
+test('guessTimezone only guesses for single-zone languages', () => {
+  assert.equal(guessTimezone('ja'), 'Asia/Tokyo');
+  assert.equal(guessTimezone('de-AT'), 'Europe/Berlin');
+  assert.equal(guessTimezone('en'), null);
+});
@@ -0,0 +1,36 @@
+// Claude usage counters per user per day and their estimated cost
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { estimateCostMicros, formatCost, createUsage } = require('../usage');
+
+test('costs are estimated from the model\'s list price', () => {
+  assert.equal(estimateCostMicros('claude-haiku-4-5-20251001', 1000, 200), 2000);
+  assert.equal(estimateCostMicros('claude-sonnet-4-6', 1000, 200), 6000);
+  assert.equal(estimateCostMicros('some-other-model', 1000, 200), 0);
+  assert.equal(formatCost(2000), '$0.0020');
+  assert.equal(formatCost(1234567), '$1.23');
+});
+
+test('usage adds up per user and day, and goes with the user\'s data', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-06-01T23:30:00Z') });
+  const storage = createStorage({ backend: 'memory' });
+  await storage.connect();
+  const usage = createUsage({ storage });
+
+  await usage.recordUsage(1, { model: 'claude-haiku-4-5-20251001', inputTokens: 1000, outputTokens: 200 });
+  await usage.recordUsage(1, { model: 'claude-sonnet-4-6', inputTokens: 1000, outputTokens: 200 });
+  await usage.recordUsage(2, { model: 'claude-haiku-4-5-20251001', inputTokens: 500, outputTokens: 100 });
+  t.mock.timers.tick(60 * 60 * 1000);
+  await usage.recordUsage(2, { model: 'claude-haiku-4-5-20251001', inputTokens: 500, outputTokens: 100 });
+
+  const day = await usage.getDayUsage('2025-06-01');
+  assert.deepEqual(day.totals, { requests: 3, inputTokens: 2500, outputTokens: 500, costMicros: 9000 });
+  assert.deepEqual(day.users[1], { requests: 2, inputTokens: 2000, outputTokens: 400, costMicros: 8000 });
+
+  const recent = await usage.getRecentUsage(2);
+  assert.deepEqual(recent.map(({ date, requests }) => [date, requests]), [['2025-06-01', 3], ['2025-06-02', 1]]);
+
+  await storage.deleteUserData(1);
+  assert.deepEqual(Object.keys((await usage.getDayUsage('2025-06-01')).users), ['2']);
+});
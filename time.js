@@ -0,0 +1,157 @@
+// Time zones and calendar dates. Each user's day runs from their own local midnight
+// (see /timezone), so every "today" is worked out in a time zone.
+//
+// Dates are YYYY-MM-DD strings throughout; shiftDate and getWeekday treat them as UTC
+// days, which keeps the arithmetic free of daylight-saving jumps.
+
+// Time zone used for users who haven't set one (and can't be guessed)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Best-effort time zone guesses from Telegram's language_code. Only languages
+// that are mostly spoken in a single time zone are listed.
+const LANGUAGE_TIMEZONES = {
+  id: 'Asia/Jakarta',
+  ja: 'Asia/Tokyo',
+  ko: 'Asia/Seoul',
+  th: 'Asia/Bangkok',
+  vi: 'Asia/Ho_Chi_Minh',
+  ms: 'Asia/Kuala_Lumpur',
+  fil: 'Asia/Manila',
+  tl: 'Asia/Manila',
+  it: 'Europe/Rome',
+  de: 'Europe/Berlin',
+  fr: 'Europe/Paris',
+  nl: 'Europe/Amsterdam',
+  pl: 'Europe/Warsaw',
+  uk: 'Europe/Kyiv',
+  tr: 'Europe/Istanbul'
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Guess a time zone from a Telegram language code (e.g. "ja", "pt-br")
+function guessTimezone(languageCode) {
+  if (!languageCode) return null;
+  return LANGUAGE_TIMEZONES[languageCode.toLowerCase().split('-')[0]] || null;
+}
+
+// Check whether a time zone name is understood by Intl
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A stored time zone if it's still valid, otherwise the default
+function resolveTimezone(timezone) {
+  return timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+// Get the local date/time parts for a moment in a given time zone
+function getLocalParts(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => { values[part.type] = part.value; });
+
+  return {
+    date: `${values.year}-${values.month}-${values.day}`,
+    hour: parseInt(values.hour, 10),
+    minute: parseInt(values.minute, 10)
+  };
+}
+
+// Get the local YYYY-MM-DD date in a given time zone
+function getLocalDate(timezone, date = new Date()) {
+  return getLocalParts(timezone, date).date;
+}
+
+// Parse /timezone input: an IANA name ("Asia/Singapore"), a whole-hour UTC
+// offset ("UTC+8", "-5") or the user's current local time ("14:30")
+function parseTimezoneInput(input, now = new Date()) {
+  const value = (input || '').trim();
+  if (!value) return null;
+
+  const offsetMatch = value.match(/^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?::?00)?$/i);
+  if (offsetMatch) {
+    const hours = parseInt(offsetMatch[2], 10);
+    if (hours > 14) return null;
+    if (hours === 0) return 'UTC';
+    // Etc/GMT zones use inverted signs: UTC+8 is Etc/GMT-8
+    return `Etc/GMT${offsetMatch[1] === '+' ? '-' : '+'}${hours}`;
+  }
+
+  const timeMatch = value.match(/^(\d{1,2})[:.](\d{2})$/);
+  if (timeMatch) {
+    const hour = parseInt(timeMatch[1], 10);
+    const minute = parseInt(timeMatch[2], 10);
+    if (hour > 23 || minute > 59) return null;
+
+    // Work out the offset from UTC, rounded to the nearest hour and wrapped into -12..+14
+    const localMinutes = hour * 60 + minute;
+    const utcMinutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+    let offsetHours = Math.round((localMinutes - utcMinutes) / 60);
+    if (offsetHours < -12) offsetHours += 24;
+    if (offsetHours > 14) offsetHours -= 24;
+
+    if (offsetHours === 0) return 'UTC';
+    return `Etc/GMT${offsetHours > 0 ? '-' : '+'}${Math.abs(offsetHours)}`;
+  }
+
+  if (!isValidTimezone(value)) return null;
+  // Normalise casing, e.g. "asia/singapore" -> "Asia/Singapore"
+  return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+}
+
+// Shift a YYYY-MM-DD date string by a number of days
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+// Parse a user-supplied date ("2026-01-31", "today", "yesterday") into YYYY-MM-DD,
+// relative to the user's own "today"
+function parseDateInput(input, today) {
+  const value = (input || '').trim().toLowerCase();
+
+  if (value === 'today') return today;
+  if (value === 'yesterday') return shiftDate(today, -1);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  // Reject impossible dates such as 2026-02-30
+  const parsed = new Date(`${value}T00:00:00Z`);
+  if (isNaN(parsed) || parsed.toISOString().split('T')[0] !== value) return null;
+
+  return value;
+}
+
+function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAY_NAMES,
+  guessTimezone,
+  isValidTimezone,
+  resolveTimezone,
+  getLocalParts,
+  getLocalDate,
+  parseTimezoneInput,
+  shiftDate,
+  parseDateInput,
+  getWeekday
+};
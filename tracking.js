@@ -0,0 +1,269 @@
+// The food log: adding entries, day totals, and the text of /summary, /history,
+// /week, /month and the weekly and monthly reports.
+//
+//   const tracking = createTracking({ storage, users });
+//   const { entry, date } = await tracking.addFoodEntry(userId, nutrition, chatId);
+//   const report = await tracking.buildReport(userId, 'week', today);
+//
+// Entries are filed under the user's local day (see users.getUserToday).
+const crypto = require('crypto');
+const { NUTRIENTS, calculateTotals, averageTotals, isGoalHit, getMacroSplit } = require('./nutrition');
+const { WEEKDAY_NAMES, shiftDate, getWeekday } = require('./time');
+const { renderReportChart } = require('./charts');
+
+const REPORT_PERIODS = {
+  week: { days: 7, title: 'Weekly Report' },
+  month: { days: 30, title: 'Monthly Report' }
+};
+
+// The automatic weekly report goes out on Monday at this local hour, covering Monday-Sunday
+const WEEKLY_REPORT_HOUR = 9;
+
+// Longest run of consecutive dates (in order) that pass the test
+function longestRun(dates, test) {
+  let longest = 0;
+  let current = 0;
+  dates.forEach(date => {
+    current = test(date) ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+}
+
+function describeGoalDistance(calories, goal) {
+  const percent = Math.round((calories / goal - 1) * 100);
+  if (percent === 0) return 'on goal';
+  return `${Math.abs(percent)}% ${percent > 0 ? 'over' : 'under'} goal`;
+}
+
+function formatAverages(averages, goals) {
+  return `- Calories: ${averages.calories}/${goals.calories} kcal\n` +
+    `- Protein: ${averages.protein}/${goals.protein}g\n` +
+    `- Carbs: ${averages.carbs}/${goals.carbs}g\n` +
+    `- Fat: ${averages.fat}/${goals.fat}g\n` +
+    `- Fiber: ${averages.fiber}/${goals.fiber}g\n` +
+    `- Hydration: ${averages.hydration}/${goals.hydration}ml\n`;
+}
+
+function createTracking({ storage, users }) {
+  // Add food entry to the user's nutrition data, remembering the chat it came from.
+  // Returns the stored entry and the day it was filed under.
+  async function addFoodEntry(userId, nutrition, chatId = userId) {
+    const today = await users.getUserToday(userId); // YYYY-MM-DD in the user's time zone
+
+    const entry = {
+      ...nutrition,
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      chatId: chatId
+    };
+    await storage.addEntry(userId, today, entry);
+
+    return { entry, date: today };
+  }
+
+  // Get nutrition totals for a given day (YYYY-MM-DD)
+  async function getTotalsForDate(userId, date) {
+    return calculateTotals(await storage.getEntries(userId, date));
+  }
+
+  // Get today's nutrition totals
+  async function getTodayTotals(userId) {
+    const today = await users.getUserToday(userId);
+    return getTotalsForDate(userId, today);
+  }
+
+  // Totals for the day an associated entry was logged on. totalsDate is null when that day is today.
+  async function getAssociationTotals(association) {
+    const ownerId = association.userId || association.chatId;
+    const today = await users.getUserToday(ownerId);
+    const totals = await getTotalsForDate(ownerId, association.date);
+    return { totals, totalsDate: association.date === today ? null : association.date };
+  }
+
+  // Get daily summary (defaults to the user's today)
+  async function getDailySummary(userId, date) {
+    date = date || await users.getUserToday(userId);
+
+    const entries = await storage.getEntries(userId, date);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const totals = calculateTotals(entries);
+    const goals = await users.loadGoals(userId);
+
+    let summary = `🍽️ *Daily Nutrition Summary* (${date})\n\n`;
+
+    entries.forEach((entry, index) => {
+      summary += `${index + 1}. ${entry.food_name} - ${entry.calories} kcal\n`;
+    });
+
+    summary += `\n📊 *Total Nutrition:*\n`;
+    summary += `- Calories: ${totals.calories}/${goals.calories} kcal\n`;
+    summary += `- Protein: ${totals.protein}/${goals.protein}g\n`;
+    summary += `- Carbs: ${totals.carbs}/${goals.carbs}g\n`;
+    summary += `- Fat: ${totals.fat}/${goals.fat}g\n`;
+    summary += `- Fiber: ${totals.fiber}/${goals.fiber}g\n`;
+    summary += `- Hydration: ${totals.hydration}/${goals.hydration}ml\n\n`;
+
+    // Progress indicators
+    const calorieProgress = Math.round((totals.calories / goals.calories) * 100);
+    const proteinProgress = Math.round((totals.protein / goals.protein) * 100);
+    const carbProgress = Math.round((totals.carbs / goals.carbs) * 100);
+    const fatProgress = Math.round((totals.fat / goals.fat) * 100);
+    const fiberProgress = Math.round((totals.fiber / goals.fiber) * 100);
+    const hydrationProgress = Math.round((totals.hydration / goals.hydration) * 100);
+
+    summary += `📈 *Progress:*\n`;
+    summary += `- Calories: ${calorieProgress}%\n`;
+    summary += `- Protein: ${proteinProgress}%\n`;
+    summary += `- Carbs: ${carbProgress}%\n`;
+    summary += `- Fat: ${fatProgress}%\n`;
+    summary += `- Fiber: ${fiberProgress}%\n`;
+    summary += `- Hydration: ${hydrationProgress}%\n`;
+
+    return summary;
+  }
+
+  // Load the daily totals of each logged day in the `days` days ending on endDate
+  async function getRangeTotals(userId, endDate, days) {
+    const startDate = shiftDate(endDate, -(days - 1));
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+      dates.push(shiftDate(startDate, i));
+    }
+
+    const entriesByDate = await storage.getEntriesByDate(userId, dates);
+    const dailyTotals = Object.entries(entriesByDate)
+      .map(([date, entries]) => ({ date, entries, totals: calculateTotals(entries) }));
+
+    return { startDate, dates, dailyTotals };
+  }
+
+  // Get a multi-day summary with daily totals, averages and goal hit-rates
+  async function getRangeSummary(userId, days, title) {
+    const goals = await users.loadGoals(userId);
+    const today = await users.getUserToday(userId);
+    const { startDate, dailyTotals } = await getRangeTotals(userId, today, days);
+
+    if (dailyTotals.length === 0) {
+      return null;
+    }
+
+    let summary = `📅 *${title}* (${startDate} → ${today})\n\n`;
+
+    dailyTotals.forEach(({ date, totals }) => {
+      summary += `${date} - ${Math.round(totals.calories)} kcal\n`;
+    });
+
+    const loggedDays = dailyTotals.length;
+    const hits = {};
+    NUTRIENTS.forEach(nutrient => {
+      hits[nutrient] = dailyTotals.filter(day => isGoalHit(day.totals, goals, nutrient)).length;
+    });
+
+    const hitRate = (nutrient) => `${hits[nutrient]}/${loggedDays} days (${Math.round((hits[nutrient] / loggedDays) * 100)}%)`;
+
+    summary += `\n📊 *Daily Averages* (${loggedDays} of ${days} days logged):\n`;
+    summary += formatAverages(averageTotals(dailyTotals), goals) + '\n';
+
+    summary += `🎯 *Goal Hit Rate* (within ±10%):\n`;
+    summary += `- Calories: ${hitRate('calories')}\n`;
+    summary += `- Protein: ${hitRate('protein')}\n`;
+    summary += `- Carbs: ${hitRate('carbs')}\n`;
+    summary += `- Fat: ${hitRate('fat')}\n`;
+    summary += `- Fiber: ${hitRate('fiber')}\n`;
+    summary += `- Hydration: ${hitRate('hydration')}\n`;
+
+    return summary;
+  }
+
+  // Build a report for the period ending on endDate: text with averages, best and worst
+  // days, streaks and macro split, plus the PNG chart. Returns null if nothing was logged.
+  async function buildReport(userId, period, endDate) {
+    const { days, title } = REPORT_PERIODS[period];
+    const goals = await users.loadGoals(userId);
+    const today = await users.getUserToday(userId);
+    const { startDate, dates, dailyTotals } = await getRangeTotals(userId, endDate, days);
+
+    if (dailyTotals.length === 0) {
+      return null;
+    }
+
+    const totalsByDate = Object.fromEntries(dailyTotals.map(day => [day.date, day.totals]));
+    const dayName = (date) => `${WEEKDAY_NAMES[getWeekday(date)]} ${date}`;
+
+    let text = `📅 *${title}* (${startDate} → ${endDate})\n\n`;
+    text += `📊 *Daily Averages* (${dailyTotals.length} of ${days} days logged):\n`;
+    text += formatAverages(averageTotals(dailyTotals), goals);
+
+    // Today is still in progress, so it isn't ranked unless it's the only day logged
+    const finishedDays = dailyTotals.filter(day => day.date !== today);
+    const rankedDays = (finishedDays.length > 0 ? finishedDays : dailyTotals)
+      .map(day => ({ ...day, distance: Math.abs(day.totals.calories / goals.calories - 1) }))
+      .sort((a, b) => a.distance - b.distance);
+
+    if (rankedDays.length >= 2) {
+      const best = rankedDays[0];
+      const worst = rankedDays[rankedDays.length - 1];
+      text += `\n🏅 *Best day:* ${dayName(best.date)} - ${Math.round(best.totals.calories)} kcal (${describeGoalDistance(best.totals.calories, goals.calories)})\n`;
+      text += `📉 *Furthest from goal:* ${dayName(worst.date)} - ${Math.round(worst.totals.calories)} kcal (${describeGoalDistance(worst.totals.calories, goals.calories)})\n`;
+    }
+
+    // The current streak may have started before this period, so count it over every logged day
+    const loggedDays = new Set(await storage.getDays(userId));
+    let streakDate = loggedDays.has(endDate) || endDate !== today ? endDate : shiftDate(endDate, -1);
+    let currentStreak = 0;
+    while (loggedDays.has(streakDate)) {
+      currentStreak++;
+      streakDate = shiftDate(streakDate, -1);
+    }
+
+    text += `\n🔥 *Streaks:*\n`;
+    text += `- Logging: ${currentStreak} day${currentStreak === 1 ? '' : 's'} in a row now, longest this period ${longestRun(dates, date => totalsByDate[date])}\n`;
+    text += `- Calories within ±10% of goal: longest run ${longestRun(dates, date => totalsByDate[date] && isGoalHit(totalsByDate[date], goals, 'calories'))} days\n`;
+
+    const split = getMacroSplit(dailyTotals.reduce((sum, day) => ({
+      protein: sum.protein + day.totals.protein,
+      carbs: sum.carbs + day.totals.carbs,
+      fat: sum.fat + day.totals.fat
+    }), { protein: 0, carbs: 0, fat: 0 }));
+    const goalSplit = getMacroSplit(goals);
+
+    if (split) {
+      text += `\n🥗 *Macro Split* (share of calories):\n`;
+      text += `- Protein: ${split.protein}%${goalSplit ? ` (goal ${goalSplit.protein}%)` : ''}\n`;
+      text += `- Carbs: ${split.carbs}%${goalSplit ? ` (goal ${goalSplit.carbs}%)` : ''}\n`;
+      text += `- Fat: ${split.fat}%${goalSplit ? ` (goal ${goalSplit.fat}%)` : ''}\n`;
+    }
+
+    const chart = renderReportChart({
+      goals,
+      days: dates.map(date => ({
+        date,
+        label: period === 'week' ? WEEKDAY_NAMES[getWeekday(date)] : date.slice(8),
+        totals: totalsByDate[date] || null
+      }))
+    });
+
+    // Reports go to the chat the user last logged from in this period
+    const lastEntries = dailyTotals[dailyTotals.length - 1].entries;
+    const chatId = lastEntries[lastEntries.length - 1].chatId || userId;
+
+    return { text, chart, chatId };
+  }
+
+  return {
+    addFoodEntry,
+    getTotalsForDate,
+    getTodayTotals,
+    getAssociationTotals,
+    getDailySummary,
+    getRangeTotals,
+    getRangeSummary,
+    buildReport
+  };
+}
+
+module.exports = { REPORT_PERIODS, WEEKLY_REPORT_HOUR, createTracking };
@@ -0,0 +1,86 @@
+// Claude usage per user per day: requests, input and output tokens and an estimated
+// cost. The Claude client records every response (recordUsage); /api/stats shows the
+// day's totals and the developer's /usage the breakdown by user.
+//
+//   const usage = createUsage({ storage });
+//   const claude = createClaudeClient({ anthropic, recordUsage: usage.recordUsage });
+//   const { totals, users } = await usage.getDayUsage();
+//
+// Days are UTC dates, like the API's billing. Costs are estimated from list prices and
+// kept in millionths of a dollar (micros) so they add up exactly.
+const { getLocalDate, shiftDate } = require('./time');
+
+const USAGE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// List prices in USD per million tokens, by model name prefix (most specific first).
+// Models not listed are counted with a cost of 0.
+const MODEL_PRICES = [
+  { prefix: 'claude-haiku-4-5', input: 1, output: 5 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-opus-4-5', input: 5, output: 25 },
+  { prefix: 'claude-opus-4-6', input: 5, output: 25 },
+  { prefix: 'claude-opus-4', input: 15, output: 75 }
+];
+
+function emptyUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, costMicros: 0 };
+}
+
+// Estimated cost in micros. A price per million tokens times tokens is micros.
+function estimateCostMicros(model, inputTokens, outputTokens) {
+  const price = MODEL_PRICES.find(candidate => (model || '').startsWith(candidate.prefix));
+  if (!price) return 0;
+  return Math.round(inputTokens * price.input + outputTokens * price.output);
+}
+
+function addUsage(total, usage) {
+  Object.keys(total).forEach(counter => {
+    total[counter] += usage[counter] || 0;
+  });
+  return total;
+}
+
+// "$0.0123" (costs per day are often well under a cent)
+function formatCost(costMicros) {
+  return `$${(costMicros / 1000000).toFixed(costMicros < 10000 ? 4 : 2)}`;
+}
+
+function getUsageDate(now = new Date()) {
+  return getLocalDate('UTC', now);
+}
+
+function createUsage({ storage }) {
+  // Add one response's tokens to the user's counters for today
+  async function recordUsage(userId, { model, inputTokens, outputTokens }) {
+    await storage.addUsage(getUsageDate(), userId === null || userId === undefined ? 'unknown' : userId, {
+      requests: 1,
+      inputTokens,
+      outputTokens,
+      costMicros: estimateCostMicros(model, inputTokens, outputTokens)
+    }, USAGE_TTL_SECONDS);
+  }
+
+  // One day's usage: { date, totals, users: { userId: counters } }
+  async function getDayUsage(date = getUsageDate()) {
+    const users = await storage.getUsage(date);
+    const totals = Object.values(users).reduce(addUsage, emptyUsage());
+    return { date, totals, users };
+  }
+
+  // Totals for each of the last `days` days, oldest first
+  async function getRecentUsage(days) {
+    const today = getUsageDate();
+    const result = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const { date, totals } = await getDayUsage(shiftDate(today, -offset));
+      result.push({ date, ...totals });
+    }
+    return result;
+  }
+
+  return { recordUsage, getDayUsage, getRecentUsage };
+}
+
+module.exports = { MODEL_PRICES, estimateCostMicros, formatCost, createUsage };
@@ -0,0 +1,151 @@
+// Per-user data around the food log: who a message belongs to, profiles (names are
+// stored encrypted, see identity.js), settings, time zones and goals. Used by the bot
+// and the dashboard.
+//
+//   const users = createUsers({ storage, identity });
+//   const goals = await users.loadGoals(userId);
+//   const today = await users.getUserToday(userId);
+const { DEFAULT_GOALS } = require('./nutrition');
+const { guessTimezone, resolveTimezone, getLocalDate } = require('./time');
+
+// Resolve who a message should be attributed to. Regular users are keyed by
+// their Telegram ID; channel posts and anonymous group admins have no real
+// sender, so fall back to the post signature, then the sending chat.
+function getUserId(msg) {
+  const isAnonymous = !msg.from || (msg.sender_chat && msg.from.is_bot);
+
+  if (!isAnonymous) {
+    return msg.from.id;
+  }
+
+  if (msg.author_signature) {
+    return `${msg.chat.id}:${msg.author_signature}`;
+  }
+
+  return msg.sender_chat ? msg.sender_chat.id : msg.chat.id;
+}
+
+function createUsers({ storage, identity }) {
+  // Load the global goals (fallback for users without their own goals)
+  async function loadDefaultGoals() {
+    try {
+      const goals = await storage.getDefaultGoals();
+      return { ...DEFAULT_GOALS, ...(goals || {}) };
+    } catch {
+      return { ...DEFAULT_GOALS };
+    }
+  }
+
+  // Load goals for a user, falling back to the global goals
+  async function loadGoals(userId) {
+    const defaultGoals = await loadDefaultGoals();
+
+    if (userId === undefined || userId === null) {
+      return defaultGoals;
+    }
+
+    try {
+      const userGoals = await storage.getUserGoals(userId);
+      return userGoals ? { ...defaultGoals, ...userGoals } : defaultGoals;
+    } catch {
+      return defaultGoals;
+    }
+  }
+
+  // Save goals for a user
+  async function saveGoals(userId, goals) {
+    await storage.saveUserGoals(userId, goals);
+  }
+
+  // Get a single user's settings (time zone, etc.)
+  async function getUserSettings(userId) {
+    try {
+      return await storage.getUserSettings(userId) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Merge updates into a user's settings
+  async function saveUserSettings(userId, updates) {
+    return storage.updateUserSettings(userId, updates);
+  }
+
+  // Get a user's time zone, falling back to the default
+  async function getUserTimezone(userId) {
+    const settings = await getUserSettings(userId);
+    return resolveTimezone(settings.timezone);
+  }
+
+  // Get "today" (YYYY-MM-DD) in the user's own time zone
+  async function getUserToday(userId) {
+    return getLocalDate(await getUserTimezone(userId));
+  }
+
+  // Save user information. Without a usable ENCRYPTION_KEY only lastSeen is updated,
+  // so names stored under the right key aren't lost.
+  async function saveUserInfo(userId, userInfo) {
+    try {
+      const profile = identity.canStoreNames()
+        ? { ...userInfo, ...identity.encryptNames(userInfo) }
+        : await storage.getUserProfile(userId) || {};
+
+      // Save this user's profile
+      await storage.saveUserProfile(userId, { ...profile, lastSeen: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error saving user info:', error);
+    }
+  }
+
+  // Save the sender's profile if the message has a real Telegram user behind it
+  async function saveSenderInfo(msg) {
+    if (!msg.from || msg.from.is_bot) return;
+
+    await saveUserInfo(msg.from.id, {
+      firstName: msg.from.first_name,
+      lastName: msg.from.last_name,
+      username: msg.from.username,
+      fullName: msg.from.first_name + (msg.from.last_name ? ` ${msg.from.last_name}` : '')
+    });
+
+    // Guess a time zone for new users until they set one with /timezone
+    const settings = await getUserSettings(msg.from.id);
+    if (!settings.timezone) {
+      const guessedTimezone = guessTimezone(msg.from.language_code);
+      if (guessedTimezone) {
+        await saveUserSettings(msg.from.id, { timezone: guessedTimezone, timezoneSource: 'guessed' });
+      }
+    }
+  }
+
+  // Get every stored profile, keyed by user ID
+  async function getAllUsers() {
+    try {
+      return await storage.getAllUserProfiles();
+    } catch (error) {
+      console.error('Error getting all users:', error);
+      return {};
+    }
+  }
+
+  // Resolve a display name for a user ID from the profiles of getAllUsers()
+  function getDisplayName(userId, profiles) {
+    return identity.getDisplayName(userId, profiles);
+  }
+
+  return {
+    loadDefaultGoals,
+    loadGoals,
+    saveGoals,
+    getUserSettings,
+    saveUserSettings,
+    getUserTimezone,
+    getUserToday,
+    saveUserInfo,
+    saveSenderInfo,
+    getAllUsers,
+    getDisplayName
+  };
+}
+
+module.exports = { getUserId, createUsers };